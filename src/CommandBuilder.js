@@ -0,0 +1,200 @@
+// Command Builder - Creates byte arrays for Neewer lights
+
+import {
+    COMMAND_PREFIX, MODE_CCT, MODE_HSI, MODE_SCENE, MODE_POWER, SCENES,
+    PROTOCOLS, INFINITY_COMMANDS, INFINITY_NAME_PATTERNS,
+    CCT_MIN, CCT_MAX, HUE_MIN, HUE_MAX, SATURATION_MIN, SATURATION_MAX, BRIGHTNESS_MIN, BRIGHTNESS_MAX
+} from './constants.js';
+import { CommandError, ERROR_CODES } from './errors.js';
+
+export class CommandBuilder {
+    /**
+     * Calculate checksum for command
+     */
+    static calculateChecksum(bytes) {
+        let sum = 0;
+        for (const byte of bytes) {
+            sum += byte;
+        }
+        return sum & 0xFF;
+    }
+
+    /**
+     * Convert temperature to byte value (32-85 range for 3200K-8500K, extrapolated outside)
+     */
+    static temperatureToByte(temperature) {
+        return Math.round(((temperature - 3200) / 6300) * 53 + 32);
+    }
+
+    /**
+     * Convert a temperature byte back to Kelvin (inverse of temperatureToByte)
+     */
+    static byteToTemperature(tempByte) {
+        return Math.round((tempByte - 32) / 53 * 6300 + 3200);
+    }
+
+    /**
+     * Kelvin between two temperatures a light can report (legacy bytes are ~119K apart)
+     */
+    static temperatureStep(protocol) {
+        return protocol === PROTOCOLS.INFINITY ? 100 : 6300 / 53;
+    }
+
+    /**
+     * Parse 'aa:bb:cc:dd:ee:ff' into 6 bytes
+     */
+    static macToBytes(mac) {
+        const bytes = String(mac || '').split(/[:-]/).map(part => parseInt(part, 16));
+        if (bytes.length !== 6 || bytes.some(b => Number.isNaN(b) || b < 0 || b > 0xFF)) {
+            throw new Error(`Invalid MAC address for infinity protocol: ${mac}`);
+        }
+        return bytes;
+    }
+
+    /**
+     * Pick a protocol from an advertised name ('infinity' for newer models, else 'legacy')
+     * @param {string} name - Advertised localName
+     * @returns {string}
+     */
+    static detectProtocol(name) {
+        if (name && INFINITY_NAME_PATTERNS.some(pattern => pattern.test(name))) {
+            return PROTOCOLS.INFINITY;
+        }
+        return PROTOCOLS.LEGACY;
+    }
+
+    /**
+     * Wrap params into a frame for the given protocol and append the checksum
+     * @param {number} mode - Legacy mode byte (MODE_CCT, MODE_HSI, ...)
+     * @param {number[]} params
+     * @param {Object} options - { protocol: 'legacy'|'infinity', mac }
+     * @returns {Buffer}
+     */
+    static buildFrame(mode, params, options = {}) {
+        let tag = mode;
+        let payload = params;
+
+        if (options.protocol === PROTOCOLS.INFINITY) {
+            const { tag: infinityTag, subtag } = INFINITY_COMMANDS[mode];
+            tag = infinityTag;
+            payload = [...this.macToBytes(options.mac), subtag, ...params];
+        }
+
+        const command = [COMMAND_PREFIX, tag, payload.length, ...payload];
+
+        // Add checksum
+        const checksum = this.calculateChecksum(command);
+        command.push(checksum);
+
+        return Buffer.from(command);
+    }
+
+    /**
+     * Set CCT (Color Temperature) and Brightness
+     * @param {number} brightness - 0-100
+     * @param {number} temperature - Kelvin, clamped to CCT_MIN-CCT_MAX (per-model limits are applied by LightManager)
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     * @returns {Buffer}
+     */
+    static setCCT(brightness, temperature, options = {}) {
+        // Clamp values
+        brightness = Math.max(BRIGHTNESS_MIN, Math.min(BRIGHTNESS_MAX, Math.round(brightness)));
+        temperature = Math.max(CCT_MIN, Math.min(CCT_MAX, Math.round(temperature)));
+
+        // Infinity: [..., brightness, kelvin/100, gm (0x32 = neutral), 0x04, checksum]
+        if (options.protocol === PROTOCOLS.INFINITY) {
+            return this.buildFrame(MODE_CCT, [brightness, Math.round(temperature / 100), 0x32, 0x04], options);
+        }
+
+        // Legacy: [prefix, mode, 0x02, brightness, temp, checksum]
+        return this.buildFrame(MODE_CCT, [brightness, this.temperatureToByte(temperature)], options);
+    }
+
+    /**
+     * Set HSI (Hue, Saturation, Intensity) for RGB lights
+     * @param {number} hue - 0-360 (degrees)
+     * @param {number} saturation - 0-100
+     * @param {number} brightness - 0-100
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     * @returns {Buffer}
+     */
+    static setHSI(hue, saturation, brightness, options = {}) {
+        // Clamp values (360 wraps to 0 on the light, keep it as-is)
+        hue = Math.max(HUE_MIN, Math.min(HUE_MAX, Math.round(hue)));
+        saturation = Math.max(SATURATION_MIN, Math.min(SATURATION_MAX, Math.round(saturation)));
+        brightness = Math.max(BRIGHTNESS_MIN, Math.min(BRIGHTNESS_MAX, Math.round(brightness)));
+
+        // Build command: [prefix, mode, 0x04, hueLow, hueHigh, saturation, brightness, checksum]
+        return this.buildFrame(MODE_HSI, [hue & 0xFF, (hue >> 8) & 0xFF, saturation, brightness], options);
+    }
+
+    /**
+     * Set a built-in scene (animation) on the light
+     * @param {number} sceneId - One of SCENES (1-9)
+     * @param {number} brightness - 0-100
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     * @returns {Buffer}
+     */
+    static setScene(sceneId, brightness, options = {}) {
+        if (!Object.values(SCENES).includes(sceneId)) {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown scene id: ${sceneId}`);
+        }
+        brightness = Math.max(BRIGHTNESS_MIN, Math.min(BRIGHTNESS_MAX, Math.round(brightness)));
+
+        // Build command: [prefix, mode, 0x02, brightness, scene, checksum]
+        return this.buildFrame(MODE_SCENE, [brightness, sceneId], options);
+    }
+
+    /**
+     * Power the light on or off
+     * @param {boolean} on
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     * @returns {Buffer}
+     */
+    static setPower(on, options = {}) {
+        // Build command: [prefix, 0x81, 0x01, 0x01 (on) | 0x02 (off), checksum]
+        return this.buildFrame(MODE_POWER, [on ? 0x01 : 0x02], options);
+    }
+
+    /**
+     * Resolve a scene name (e.g. 'CANDLE_LIGHT') or numeric id to a scene id
+     * @param {string|number} scene
+     * @returns {number}
+     */
+    static resolveSceneId(scene) {
+        if (typeof scene === 'number' || /^\d+$/.test(String(scene))) {
+            const id = Number(scene);
+            if (Object.values(SCENES).includes(id)) return id;
+        } else if (typeof scene === 'string') {
+            const key = scene.trim().toUpperCase().replace(/[\s-]+/g, '_');
+            if (key in SCENES) return SCENES[key];
+        }
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown scene: ${scene} (expected 1-9 or one of ${Object.keys(SCENES).join(', ')})`);
+    }
+
+    /**
+     * Get the scene name for a scene id (null if unknown)
+     * @param {number} sceneId
+     * @returns {string|null}
+     */
+    static sceneName(sceneId) {
+        return Object.keys(SCENES).find(name => SCENES[name] === sceneId) || null;
+    }
+
+    /**
+     * Turn light on (the light comes back with whatever it last showed;
+     * LightManager.setPower re-sends the last known state after this)
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     */
+    static turnOn(options = {}) {
+        return this.setPower(true, options);
+    }
+
+    /**
+     * Turn light off
+     * @param {Object} options - { protocol, mac } (defaults to legacy)
+     */
+    static turnOff(options = {}) {
+        return this.setPower(false, options);
+    }
+}
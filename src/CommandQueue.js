@@ -0,0 +1,101 @@
+// CommandQueue - Per-light write queue with a minimum interval and latest-wins coalescing
+
+export class CommandQueue {
+    /**
+     * @param {Function} write - async (bytes) => void, performs the actual characteristic write
+     * @param {Object} options
+     * @param {number} options.minIntervalMs - Minimum gap between writes (default 40ms)
+     */
+    constructor(write, { minIntervalMs = 40 } = {}) {
+        this.write = write;
+        this.minIntervalMs = minIntervalMs;
+        this.pending = []; // [{ bytes, kind, waiters: [{ resolve, reject }] }]
+        this.draining = false;
+        this.lastWriteAt = 0;
+
+        this.sent = 0;
+        this.dropped = 0;
+        this.failed = 0;
+    }
+
+    /**
+     * Queue a write. A pending command of the same kind is dropped in favour of this one
+     * (its caller's promise settles with this write instead).
+     * @param {Buffer} bytes
+     * @param {string|null} kind - e.g. 'cct', 'hsi', 'power'; null never coalesces
+     * @returns {Promise<void>} resolves once written
+     */
+    enqueue(bytes, kind = null) {
+        return new Promise((resolve, reject) => {
+            const waiters = [];
+
+            if (kind) {
+                const index = this.pending.findIndex(item => item.kind === kind);
+                if (index !== -1) {
+                    // Latest wins: move to the back so ordering with other kinds follows the newest call
+                    const [stale] = this.pending.splice(index, 1);
+                    waiters.push(...stale.waiters);
+                    this.dropped++;
+                }
+            }
+
+            // Newest caller settles last, so its state update is the one that sticks
+            waiters.push({ resolve, reject });
+
+            this.pending.push({ bytes, kind, waiters });
+            this.drain();
+        });
+    }
+
+    async drain() {
+        if (this.draining) return;
+        this.draining = true;
+
+        try {
+            while (this.pending.length > 0) {
+                const wait = this.lastWriteAt + this.minIntervalMs - Date.now();
+                if (wait > 0) await new Promise(res => setTimeout(res, wait));
+
+                const item = this.pending.shift();
+                if (!item) break; // cleared while waiting
+
+                try {
+                    await this.write(item.bytes);
+                    this.sent++;
+                    item.waiters.forEach(w => w.resolve());
+                } catch (error) {
+                    this.failed++;
+                    item.waiters.forEach(w => w.reject(error));
+                } finally {
+                    this.lastWriteAt = Date.now();
+                }
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Reject and drop everything still waiting (e.g. on disconnect)
+     */
+    clear(error = new Error('Command queue cleared')) {
+        const pending = this.pending;
+        this.pending = [];
+        for (const item of pending) {
+            item.waiters.forEach(w => w.reject(error));
+        }
+    }
+
+    /**
+     * Queue counters for status
+     */
+    stats() {
+        return {
+            depth: this.pending.length,
+            sent: this.sent,
+            dropped: this.dropped,
+            failed: this.failed,
+            minIntervalMs: this.minIntervalMs
+        };
+    }
+}
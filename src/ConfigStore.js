@@ -0,0 +1,435 @@
+// ConfigStore - Loads, validates and watches the JSON/YAML config file
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { LIGHTS } from './lightConfig.js';
+import { PROTOCOLS } from './constants.js';
+import { findModelByKey } from './lightModels.js';
+import { LIMIT_KEYS } from './lightLimits.js';
+import { ROLES } from './auth.js';
+import { SIMULATED_FAULT_TYPES } from './transports/SimulatedTransport.js';
+import { DEFAULT_TUNABLES, GROUP_NAME_PATTERN } from './LightManager.js';
+
+const RELOAD_DEBOUNCE_MS = 300;
+const MAC_PATTERN = /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i;
+
+export const DEFAULT_PORT = 8080;
+
+// Used when no --config is given and the file exists; API changes to the light list are saved here
+export const DEFAULT_CONFIG_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config.json');
+
+const LIGHT_KEYS = ['name', 'mac', 'model', 'protocol', 'simulatedName', 'simulatedFaults', ...LIMIT_KEYS];
+const TOP_LEVEL_KEYS = ['port', 'httpPort', 'host', 'allowedOrigins', 'auth', 'mqtt', 'lights', 'groups', 'tunables'];
+const USER_KEYS = ['name', 'role', 'token', 'password'];
+const MIN_TOKEN_LENGTH = 16;
+const MQTT_KEYS = ['url', 'username', 'password', 'clientId', 'baseTopic', 'discoveryPrefix', 'discovery'];
+
+export class ConfigError extends Error {
+    /**
+     * @param {string} source - File the config came from
+     * @param {string[]} problems - One line per problem, e.g. 'lights[1].mac: ...'
+     */
+    constructor(source, problems) {
+        super(`Invalid config in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Check one light entry, pushing problems prefixed with `where`
+ * @returns {boolean} false if the entry isn't an object at all
+ */
+function checkLight(light, where, problems) {
+    if (!isPlainObject(light)) {
+        problems.push(`${where}: must be an object`);
+        return false;
+    }
+    for (const key of Object.keys(light)) {
+        if (!LIGHT_KEYS.includes(key)) problems.push(`${where}.${key}: unknown key (expected ${LIGHT_KEYS.join(', ')})`);
+    }
+    if (typeof light.name !== 'string' || light.name.trim() === '') {
+        problems.push(`${where}.name: must be a non-empty string`);
+    }
+    if (typeof light.mac !== 'string' || !MAC_PATTERN.test(light.mac)) {
+        problems.push(`${where}.mac: must be a MAC address like aa:bb:cc:dd:ee:ff (got ${JSON.stringify(light.mac)})`);
+    }
+    if (light.model !== undefined && !findModelByKey(light.model)) {
+        problems.push(`${where}.model: unknown model ${JSON.stringify(light.model)}`);
+    }
+    if (light.protocol !== undefined && ![...Object.values(PROTOCOLS), 'auto'].includes(light.protocol)) {
+        problems.push(`${where}.protocol: must be one of ${[...Object.values(PROTOCOLS), 'auto'].join(', ')}`);
+    }
+    for (const key of ['fixedTemp', 'minTemp', 'maxTemp']) {
+        if (light[key] !== undefined && !isPositiveInt(light[key])) problems.push(`${where}.${key}: must be a positive integer (Kelvin)`);
+    }
+    if (light.fixedTemp !== undefined && (light.minTemp !== undefined || light.maxTemp !== undefined)) {
+        problems.push(`${where}.fixedTemp: can't be combined with minTemp/maxTemp`);
+    }
+    if (isPositiveInt(light.minTemp) && isPositiveInt(light.maxTemp) && light.minTemp > light.maxTemp) {
+        problems.push(`${where}.minTemp: must not be above maxTemp`);
+    }
+    for (const key of ['minBrightness', 'maxBrightness']) {
+        if (light[key] !== undefined && !(Number.isInteger(light[key]) && light[key] >= 0 && light[key] <= 100)) {
+            problems.push(`${where}.${key}: must be an integer 0-100`);
+        }
+    }
+    if ((light.minBrightness ?? 0) > (light.maxBrightness ?? 100)) {
+        problems.push(`${where}.minBrightness: must not be above maxBrightness`);
+    }
+    if (light.brightnessCurve !== undefined && !(typeof light.brightnessCurve === 'number' && light.brightnessCurve > 0)) {
+        problems.push(`${where}.brightnessCurve: must be a positive number (1 = linear)`);
+    }
+    if (light.cctOffset !== undefined && !Number.isInteger(light.cctOffset)) {
+        problems.push(`${where}.cctOffset: must be an integer (Kelvin, may be negative)`);
+    }
+    if (light.simulatedName !== undefined && typeof light.simulatedName !== 'string') {
+        problems.push(`${where}.simulatedName: must be a string`);
+    }
+    if (light.simulatedFaults !== undefined) checkFaults(light.simulatedFaults, `${where}.simulatedFaults`, problems);
+    return true;
+}
+
+/**
+ * Check a light's simulatedFaults (see SimulatedTransport)
+ */
+function checkFaults(faults, where, problems) {
+    if (!isPlainObject(faults)) {
+        problems.push(`${where}: must be an object`);
+        return;
+    }
+    for (const [key, value] of Object.entries(faults)) {
+        const type = SIMULATED_FAULT_TYPES[key];
+        if (!type) {
+            problems.push(`${where}.${key}: unknown key (expected ${Object.keys(SIMULATED_FAULT_TYPES).join(', ')})`);
+        } else if (type === 'integer' ? !isPositiveInt(value) : typeof value !== type) {
+            problems.push(`${where}.${key}: must be ${type === 'integer' ? 'a positive integer (ms)' : `a ${type}`}`);
+        }
+    }
+}
+
+/**
+ * Check the auth section's users (unique names and tokens, a known role, a token or password)
+ */
+function checkUsers(auth, problems) {
+    for (const key of Object.keys(auth)) {
+        if (key !== 'users') problems.push(`auth.${key}: unknown key (expected users)`);
+    }
+    const names = new Set();
+    const tokens = new Set();
+    auth.users.forEach((user, i) => {
+        const where = `auth.users[${i}]`;
+        if (!isPlainObject(user)) {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        for (const key of Object.keys(user)) {
+            if (!USER_KEYS.includes(key)) problems.push(`${where}.${key}: unknown key (expected ${USER_KEYS.join(', ')})`);
+        }
+        if (typeof user.name !== 'string' || user.name.trim() === '') {
+            problems.push(`${where}.name: must be a non-empty string`);
+        } else if (names.has(user.name)) {
+            problems.push(`${where}.name: duplicate of an earlier user (${user.name})`);
+        }
+        names.add(user.name);
+        if (!ROLES.includes(user.role)) problems.push(`${where}.role: must be one of ${ROLES.join(', ')}`);
+        if (user.token === undefined && user.password === undefined) problems.push(`${where}: needs a token or a password`);
+        if (user.token !== undefined) {
+            if (typeof user.token !== 'string' || user.token.length < MIN_TOKEN_LENGTH) {
+                problems.push(`${where}.token: must be a string of at least ${MIN_TOKEN_LENGTH} characters`);
+            } else if (tokens.has(user.token)) {
+                problems.push(`${where}.token: same as an earlier user's`);
+            }
+            tokens.add(user.token);
+        }
+        if (user.password !== undefined && (typeof user.password !== 'string' || user.password === '')) {
+            problems.push(`${where}.password: must be a non-empty string`);
+        }
+    });
+}
+
+/**
+ * Check the mqtt section (see MqttBridge.js)
+ */
+function checkMqtt(mqtt, problems) {
+    for (const key of Object.keys(mqtt)) {
+        if (!MQTT_KEYS.includes(key)) problems.push(`mqtt.${key}: unknown key (expected ${MQTT_KEYS.join(', ')})`);
+    }
+    if (typeof mqtt.url !== 'string' || !/^(mqtts?|wss?|tcp|ssl):\/\/./.test(mqtt.url)) {
+        problems.push(`mqtt.url: must be a broker URL like mqtt://localhost:1883 (got ${JSON.stringify(mqtt.url)})`);
+    }
+    for (const key of ['username', 'password', 'clientId']) {
+        if (mqtt[key] !== undefined && typeof mqtt[key] !== 'string') problems.push(`mqtt.${key}: must be a string`);
+    }
+    for (const key of ['baseTopic', 'discoveryPrefix']) {
+        if (mqtt[key] !== undefined && (typeof mqtt[key] !== 'string' || !/^[^#+\s]+$/.test(mqtt[key]) || /^\/|\/$/.test(mqtt[key]))) {
+            problems.push(`mqtt.${key}: must be a topic without wildcards or leading/trailing '/'`);
+        }
+    }
+    if (mqtt.discovery !== undefined && typeof mqtt.discovery !== 'boolean') problems.push('mqtt.discovery: must be true or false');
+}
+
+/**
+ * Validate a single light entry (e.g. one added over the API) and return it with a lowercased MAC
+ * @param {Object} raw - { name, mac, model?, protocol?, simulatedName?, fixedTemp?, minTemp?, ... (LIMIT_KEYS) }
+ * @returns {Object}
+ * @throws {ConfigError}
+ */
+export function validateLight(raw, source = 'light') {
+    const problems = [];
+    checkLight(raw, 'light', problems);
+    if (problems.length > 0) throw new ConfigError(source, problems);
+    return { ...raw, mac: raw.mac.toLowerCase() };
+}
+
+/**
+ * Validate a raw config object and return it normalized (lowercased MACs, defaults filled in)
+ * @param {Object} raw
+ * @param {string} source - For error messages
+ * @returns {{port: number, httpPort?: number, host?: string, allowedOrigins?: string[], auth?: Object, mqtt?: Object, lights: Object[], groups: Object, tunables: Object}}
+ * @throws {ConfigError}
+ */
+export function validateConfig(raw, source = 'config') {
+    const problems = [];
+
+    if (!isPlainObject(raw)) {
+        throw new ConfigError(source, ['top level: must be an object']);
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!TOP_LEVEL_KEYS.includes(key)) problems.push(`${key}: unknown key (expected ${TOP_LEVEL_KEYS.join(', ')})`);
+    }
+
+    const port = raw.port ?? DEFAULT_PORT;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        problems.push(`port: must be an integer 1-65535 (got ${JSON.stringify(raw.port)})`);
+    }
+
+    const lights = [];
+    if (!Array.isArray(raw.lights)) {
+        problems.push('lights: must be an array of { name, mac }');
+    } else {
+        const seen = new Set();
+        raw.lights.forEach((light, i) => {
+            const where = `lights[${i}]`;
+            if (!checkLight(light, where, problems)) return;
+            if (typeof light.mac === 'string' && MAC_PATTERN.test(light.mac)) {
+                if (seen.has(light.mac.toLowerCase())) {
+                    problems.push(`${where}.mac: duplicate of an earlier light (${light.mac})`);
+                }
+                seen.add(light.mac.toLowerCase());
+            }
+            lights.push({ ...light, mac: typeof light.mac === 'string' ? light.mac.toLowerCase() : light.mac });
+        });
+    }
+
+    const groups = {};
+    if (raw.groups !== undefined) {
+        if (!isPlainObject(raw.groups)) {
+            problems.push('groups: must be an object of { name: [mac, ...] }');
+        } else {
+            const known = new Set(lights.map(light => light.mac));
+            for (const [name, macs] of Object.entries(raw.groups)) {
+                const where = `groups.${name}`;
+                if (!GROUP_NAME_PATTERN.test(name) || name === 'all') {
+                    problems.push(`${where}: group names may only use letters, digits, '-' and '_' (and can't be 'all')`);
+                }
+                if (!Array.isArray(macs)) {
+                    problems.push(`${where}: must be an array of light MACs`);
+                    continue;
+                }
+                const members = macs.map(mac => String(mac).toLowerCase());
+                members.forEach((mac, i) => {
+                    if (!known.has(mac)) problems.push(`${where}[${i}]: ${mac} is not one of the configured lights`);
+                    else if (members.indexOf(mac) !== i) problems.push(`${where}[${i}]: ${mac} is listed twice`);
+                });
+                groups[name] = members;
+            }
+        }
+    }
+
+    const tunables = {};
+    if (raw.tunables !== undefined) {
+        if (!isPlainObject(raw.tunables)) {
+            problems.push('tunables: must be an object');
+        } else {
+            for (const [key, value] of Object.entries(raw.tunables)) {
+                if (!(key in DEFAULT_TUNABLES)) {
+                    problems.push(`tunables.${key}: unknown tunable (expected ${Object.keys(DEFAULT_TUNABLES).join(', ')})`);
+                } else if (typeof DEFAULT_TUNABLES[key] === 'boolean') {
+                    if (typeof value !== 'boolean') problems.push(`tunables.${key}: must be true or false (got ${JSON.stringify(value)})`);
+                    else tunables[key] = value;
+                } else if (!isPositiveInt(value)) {
+                    problems.push(`tunables.${key}: must be a positive integer (got ${JSON.stringify(value)})`);
+                } else {
+                    tunables[key] = value;
+                }
+            }
+        }
+    }
+
+    // HTTP API port, server access (bind address, browser origins, users). Only kept when
+    // set so saving the config doesn't add them to files that don't use them.
+    const server = {};
+    if (raw.httpPort !== undefined) {
+        if (!Number.isInteger(raw.httpPort) || raw.httpPort < 1 || raw.httpPort > 65535) {
+            problems.push(`httpPort: must be an integer 1-65535 (got ${JSON.stringify(raw.httpPort)})`);
+        } else if (raw.httpPort === port) {
+            problems.push(`httpPort: must differ from port (${port})`);
+        } else {
+            server.httpPort = raw.httpPort;
+        }
+    }
+    if (raw.host !== undefined) {
+        if (typeof raw.host !== 'string' || raw.host.trim() === '') problems.push('host: must be an address to listen on, e.g. 127.0.0.1');
+        else server.host = raw.host;
+    }
+    if (raw.allowedOrigins !== undefined) {
+        if (!Array.isArray(raw.allowedOrigins) || !raw.allowedOrigins.every(origin => typeof origin === 'string')) {
+            problems.push('allowedOrigins: must be an array of origins, e.g. ["http://studio.local:3000"]');
+        } else {
+            server.allowedOrigins = raw.allowedOrigins;
+        }
+    }
+    if (raw.auth !== undefined) {
+        if (!isPlainObject(raw.auth) || !Array.isArray(raw.auth.users)) {
+            problems.push('auth: must be an object with users: [{ name, role, token?, password? }]');
+        } else {
+            checkUsers(raw.auth, problems);
+            server.auth = raw.auth;
+        }
+    }
+
+    if (raw.mqtt !== undefined) {
+        if (!isPlainObject(raw.mqtt)) {
+            problems.push('mqtt: must be an object with url (e.g. mqtt://localhost:1883)');
+        } else {
+            checkMqtt(raw.mqtt, problems);
+            server.mqtt = raw.mqtt;
+        }
+    }
+
+    if (problems.length > 0) throw new ConfigError(source, problems);
+    return { port, ...server, lights, groups, tunables };
+}
+
+export class ConfigStore extends EventEmitter {
+    /**
+     * @param {string|null} filePath - JSON or YAML file; null uses config.json in the project root
+     *   if it exists, otherwise lightConfig.js and defaults
+     */
+    constructor(filePath = null) {
+        super();
+        if (filePath) this.filePath = path.resolve(filePath);
+        else this.filePath = fs.existsSync(DEFAULT_CONFIG_PATH) ? DEFAULT_CONFIG_PATH : null;
+        this.config = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.watchRequested = false;
+    }
+
+    get isYaml() {
+        return /\.ya?ml$/i.test(this.filePath || '');
+    }
+
+    /**
+     * Read and validate the config
+     * @returns {Object} The validated config
+     * @throws {ConfigError|Error}
+     */
+    load() {
+        if (!this.filePath) {
+            this.config = validateConfig({ port: DEFAULT_PORT, lights: LIGHTS }, 'src/lightConfig.js');
+            return this.config;
+        }
+
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        let raw;
+        try {
+            raw = this.isYaml ? YAML.parse(text) : JSON.parse(text);
+        } catch (error) {
+            throw new ConfigError(this.filePath, [`could not parse ${this.isYaml ? 'YAML' : 'JSON'}: ${error.message}`]);
+        }
+        this.config = validateConfig(raw, this.filePath);
+        return this.config;
+    }
+
+    /**
+     * Watch the file and emit 'change' (config, previous) after a valid edit.
+     * Invalid edits emit 'invalid' and keep the previous config.
+     */
+    watch() {
+        this.watchRequested = true;
+        if (!this.filePath || this.watcher) return;
+
+        // Watch the directory: editors often replace the file instead of writing in place
+        const dir = path.dirname(this.filePath);
+        const base = path.basename(this.filePath);
+        this.watcher = fs.watch(dir, (eventType, filename) => {
+            if (filename && filename !== base) return; // also skips our own .tmp writes
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+        });
+        console.log(`👀 Watching ${this.filePath} for changes`);
+    }
+
+    reload() {
+        const previous = this.config;
+        try {
+            if (!fs.existsSync(this.filePath)) return; // mid-save; the rename will trigger again
+            if (JSON.stringify(this.load()) === JSON.stringify(previous)) return;
+            console.log(`\n🔁 Reloaded config from ${this.filePath}`);
+            this.emit('change', this.config, previous);
+        } catch (error) {
+            this.config = previous;
+            console.error(`\n❌ Config reload failed, keeping previous config:\n${error.message}`);
+            this.emit('invalid', error);
+        }
+    }
+
+    /**
+     * Validate and write a config back to the file (JSON or YAML, by extension).
+     * Without a file, writes config.json in the project root and uses it from then on.
+     * YAML comments are not preserved.
+     * @param {Object} config
+     * @returns {Object} The validated config
+     */
+    save(config) {
+        if (!this.filePath) {
+            this.filePath = DEFAULT_CONFIG_PATH;
+            console.log(`📄 Saving config to ${this.filePath} (loaded from it from now on)`);
+            if (this.watchRequested) this.watch();
+        }
+        const validated = validateConfig(config, this.filePath);
+        const text = this.isYaml ? YAML.stringify(validated) : `${JSON.stringify(validated, null, 4)}\n`;
+
+        // Write to a temp file and rename so a watcher never sees a half-written config
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, text);
+        fs.renameSync(tmpPath, this.filePath);
+        this.config = validated;
+        return validated;
+    }
+
+    /**
+     * Save changed sections (e.g. { lights, groups }), keeping the rest of the config
+     * @param {Object} changes
+     */
+    update(changes) {
+        return this.save({ ...this.config, ...changes });
+    }
+
+    unwatch() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
@@ -0,0 +1,217 @@
+// EffectEngine - Software effects generated server-side, so they work on any light
+//
+// Each effect renders brightness (and optionally color) per light from the time since
+// it started. Frames are written through NeewerLight.sendCommand, i.e. the same
+// per-light queue as normal commands.
+
+import { CommandBuilder } from './CommandBuilder.js';
+import { toDevice } from './lightLimits.js';
+import { CommandError, ERROR_CODES } from './errors.js';
+
+const EFFECT_STEP_MS = 50;
+
+// Deterministic 0-1 noise per (step, light) so flicker doesn't need per-light state
+const noise = (n) => {
+    const x = Math.sin(n * 12.9898) * 43758.5453;
+    return x - Math.floor(x);
+};
+
+/**
+ * Effect definitions. render({ t, index, count, params }) returns
+ * { brightness } and optionally { hue, saturation } for a light.
+ *   t      - seconds since the effect started
+ *   index  - position of the light in the effect (for chase)
+ *   count  - number of lights in the effect
+ *   params - { speed, intensity, hue?, saturation?, temperature? }
+ */
+export const EFFECTS = {
+    // On/off square wave, speed = flashes per second
+    strobe: {
+        defaults: { speed: 5, intensity: 100 },
+        render: ({ t, params }) => ({
+            brightness: (t * params.speed) % 1 < 0.5 ? params.intensity : 0
+        })
+    },
+
+    // Smooth breathing between 10% and 100% of intensity, speed = breaths per second
+    pulse: {
+        defaults: { speed: 0.5, intensity: 100 },
+        render: ({ t, params }) => ({
+            brightness: params.intensity * (0.1 + 0.9 * (1 - Math.cos(2 * Math.PI * t * params.speed)) / 2)
+        })
+    },
+
+    // Random candle/fire-like flicker, speed = changes per second
+    flicker: {
+        defaults: { speed: 8, intensity: 80 },
+        render: ({ t, index, params }) => ({
+            brightness: params.intensity * (0.55 + 0.45 * noise(Math.floor(t * params.speed) * 31 + index))
+        })
+    },
+
+    // Hue rotation, speed = full turns per second
+    colorCycle: {
+        defaults: { speed: 0.1, intensity: 100 },
+        requiresRGB: true,
+        render: ({ t, params }) => ({
+            hue: (t * params.speed * 360 + (params.hue ?? 0)) % 360,
+            saturation: params.saturation ?? 100,
+            brightness: params.intensity
+        })
+    },
+
+    // One light at a time, in order, speed = steps per second
+    chase: {
+        defaults: { speed: 2, intensity: 100 },
+        render: ({ t, index, count, params }) => ({
+            brightness: Math.floor(t * params.speed) % count === index ? params.intensity : 0
+        })
+    }
+};
+
+export class EffectEngine {
+    constructor() {
+        this.runs = new Map(); // id -> { id, name, macs, lights, params, startedAt, timer }
+        this.nextId = 1;
+    }
+
+    /**
+     * Validate an effect and its params and prepare a run (not started yet)
+     * @param {string} name - One of EFFECTS
+     * @param {Object} params - { speed, intensity, hue, saturation, temperature }
+     */
+    createRun(name, params = {}) {
+        const effect = EFFECTS[name];
+        if (!effect) {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown effect: ${name} (expected one of ${Object.keys(EFFECTS).join(', ')})`);
+        }
+
+        const merged = { ...effect.defaults };
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) merged[key] = value;
+        }
+        if (!(merged.speed > 0)) throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Effect speed must be greater than 0');
+        merged.intensity = Math.max(0, Math.min(100, Number(merged.intensity)));
+        if (Number.isNaN(merged.intensity)) throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Effect intensity must be 0-100');
+
+        return {
+            id: this.nextId++,
+            name,
+            effect,
+            params: merged,
+            macs: [],
+            lights: new Map(), // mac -> { light, options, before (state to restore) }
+            startedAt: 0,
+            timer: null
+        };
+    }
+
+    /**
+     * Throw if a light can't render this effect (e.g. colorCycle on a bi-color panel)
+     */
+    checkSupported(run, light) {
+        const needsRGB = run.effect.requiresRGB || run.params.hue !== undefined;
+        if (needsRGB && !light.capabilities.supportsRGB) {
+            throw new CommandError(ERROR_CODES.UNSUPPORTED, `${light.name} (${light.model.key}) does not support RGB`);
+        }
+    }
+
+    /**
+     * Add a light to a prepared run
+     * @param {Object} options - { protocol, mac } for CommandBuilder
+     */
+    addLight(run, mac, light, options) {
+        run.macs.push(mac);
+        run.lights.set(mac, { light, options, before: { ...light.state } });
+    }
+
+    /**
+     * Start ticking a run
+     */
+    start(run) {
+        run.startedAt = Date.now();
+        run.timer = setInterval(() => this.tick(run), EFFECT_STEP_MS);
+        this.runs.set(run.id, run);
+        console.log(`✨ Effect ${run.name} started on ${run.macs.length} light(s)`);
+        this.tick(run);
+    }
+
+    tick(run) {
+        const t = (Date.now() - run.startedAt) / 1000;
+        const count = run.macs.length;
+
+        run.macs.forEach((mac, index) => {
+            const { light, options } = run.lights.get(mac);
+            if (!light.connected) {
+                this.removeLight(mac);
+                return;
+            }
+
+            const values = run.effect.render({ t, index, count, params: run.params });
+            const hue = values.hue ?? run.params.hue;
+            // The light's limits and calibration apply to effects too
+            const out = toDevice(light.limits, { brightness: values.brightness, cct: run.params.temperature ?? light.state.cct });
+
+            const command = hue !== undefined
+                ? CommandBuilder.setHSI(hue, values.saturation ?? run.params.saturation ?? 100, out.brightness, options)
+                : CommandBuilder.setCCT(out.brightness, out.cct, options);
+
+            light.sendCommand(command).catch((error) => {
+                console.log(`⚠ Effect ${run.name} dropped ${light.name}: ${error.message}`);
+                this.removeLight(mac);
+            });
+        });
+    }
+
+    /**
+     * Take a light out of whatever effect it is in; the effect stops when no lights are left
+     * @returns {boolean} true if the light was in an effect
+     */
+    removeLight(mac) {
+        for (const run of this.runs.values()) {
+            if (!run.lights.has(mac)) continue;
+            run.lights.delete(mac);
+            run.macs = run.macs.filter(m => m !== mac);
+            if (run.macs.length === 0) this.stopRun(run);
+            return true;
+        }
+        return false;
+    }
+
+    stopRun(run) {
+        clearInterval(run.timer);
+        this.runs.delete(run.id);
+        console.log(`✨ Effect ${run.name} stopped`);
+    }
+
+    /**
+     * Name of the effect a light is in (null if none)
+     */
+    effectFor(mac) {
+        for (const run of this.runs.values()) {
+            if (run.lights.has(mac)) return run.name;
+        }
+        return null;
+    }
+
+    /**
+     * Light state from before the effect started (null if not in an effect)
+     */
+    stateBefore(mac) {
+        for (const run of this.runs.values()) {
+            if (run.lights.has(mac)) return run.lights.get(mac).before;
+        }
+        return null;
+    }
+
+    /**
+     * MACs of all lights currently in an effect
+     */
+    activeMacs() {
+        return [...this.runs.values()].flatMap(run => run.macs);
+    }
+
+    stopAll() {
+        for (const run of [...this.runs.values()]) this.stopRun(run);
+    }
+}
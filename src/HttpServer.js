@@ -0,0 +1,294 @@
+// HTTP Server - REST API for clients that can't hold a WebSocket open (scripts, cron, Stream Deck)
+//
+// Shares the LightManager with WebSocketServer. Commands are validated with the WebSocket
+// protocol schemas and answer with the same per-light results and error codes.
+
+import http from 'http';
+import { ACTIONS, LIGHT_ACTIONS, validateMessage } from './protocol.js';
+import { openApiDocument } from './openapi.js';
+import { Authenticator, credentialsFromRequest, hasRole } from './auth.js';
+import { CommandError, ERROR_CODES, errorCode } from './errors.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// HTTP status per error code
+const HTTP_STATUS = {
+    [ERROR_CODES.INVALID_PARAM]: 400,
+    [ERROR_CODES.UNAUTHORIZED]: 401,
+    [ERROR_CODES.FORBIDDEN]: 403,
+    [ERROR_CODES.UNKNOWN_LIGHT]: 404,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.NOT_CONNECTED]: 409,
+    [ERROR_CODES.UNSUPPORTED]: 422,
+    [ERROR_CODES.TIMEOUT]: 504,
+    [ERROR_CODES.FAILED]: 500
+};
+
+/**
+ * Which light command a request body is, when it has no action field
+ */
+function inferAction(body) {
+    if (body.action !== undefined) return body.action;
+    if (body.state !== undefined) return 'power';
+    if (body.effect !== undefined) return 'startEffect';
+    if (body.scene !== undefined) return 'setScene';
+    if (body.hue !== undefined) return 'setHSI';
+    if (body.temperature !== undefined) return 'setCCT';
+    throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Body must have temperature, hue, scene, state or effect (or an action)');
+}
+
+export class HttpServer {
+    /**
+     * @param {LightManager} lightManager
+     * @param {number} port
+     * @param {Object} options - { host, allowedOrigins, auth } (as for WebSocketServer)
+     */
+    constructor(lightManager, port, options = {}) {
+        this.lightManager = lightManager;
+        this.port = port;
+        this.host = options.host || null;
+        this.server = null;
+        this.authenticator = new Authenticator();
+        this.configureAccess(options);
+
+        // [method, path pattern, handler(params, body, req), role (default viewer)]
+        this.routes = [
+            ['GET', /^\/status$/, () => this.lightManager.getStatus()],
+            ['GET', /^\/lights$/, () => this.lightManager.getStatus().lights],
+            ['PUT', /^\/lights$/, (params, body, req) => this.runCommand(body, {}, req)],
+            ['GET', /^\/lights\/([^/]+)$/, ({ 1: mac }) => this.getLight(mac)],
+            ['PUT', /^\/lights\/([^/]+)$/, ({ 1: mac }, body, req) => this.runCommand(body, { mac }, req)],
+            ['GET', /^\/groups$/, () => this.lightManager.getGroups()],
+            ['POST', /^\/groups\/([^/]+)$/, ({ 1: group }, body, req) => this.runCommand(body, { group }, req)],
+            ['PUT', /^\/groups\/([^/]+)$/, ({ 1: group }, body, req) => this.runAction({ ...body, action: 'setGroup', group }, req)],
+            ['DELETE', /^\/groups\/([^/]+)$/, ({ 1: group }, body, req) => this.runAction({ action: 'deleteGroup', group }, req)],
+            ['GET', /^\/presets$/, () => this.lightManager.listPresets()],
+            ['POST', /^\/presets\/([^/]+)\/recall$/, ({ 1: name }, body, req) => this.runAction({ ...body, action: 'recallPreset', name }, req)],
+            ['GET', /^\/openapi\.json$/, () => openApiDocument(), null]
+        ];
+    }
+
+    /**
+     * Apply allowedOrigins and auth users (also on config reload)
+     */
+    configureAccess({ allowedOrigins = [], auth = null } = {}) {
+        this.allowedOrigins = allowedOrigins;
+        this.authenticator.setUsers(auth?.users ?? []);
+    }
+
+    /**
+     * Start the HTTP server
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((error) => this.sendError(res, error));
+        });
+        this.server.listen(this.port, this.host ?? undefined);
+        console.log(`\n🌐 HTTP API running on http://${this.host || 'localhost'}:${this.port} (OpenAPI: /openapi.json)`);
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // Browsers: only the allowedOrigins get CORS. Without a list no page may send
+        // commands (a form POST needs no preflight), reads just can't be seen cross-origin.
+        const origin = req.headers.origin;
+        if (origin) {
+            if (this.allowedOrigins.length > 0) {
+                if (!this.allowedOrigins.includes(origin)) {
+                    throw new CommandError(ERROR_CODES.FORBIDDEN, `Origin ${origin} not allowed`);
+                }
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Vary', 'Origin');
+            } else if (req.method !== 'GET' && req.method !== 'OPTIONS') {
+                throw new CommandError(ERROR_CODES.FORBIDDEN, `Browser requests from ${origin} need allowedOrigins in the config`);
+            }
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) {
+            const known = this.routes.some(([, pattern]) => pattern.test(url.pathname));
+            throw new CommandError(ERROR_CODES.NOT_FOUND, known ? `${req.method} not supported on ${url.pathname}` : `No such endpoint: ${url.pathname}`);
+        }
+        const [method, pattern, handler, role = 'viewer'] = route;
+        const params = url.pathname.match(pattern).map((part) => {
+            try {
+                return decodeURIComponent(part);
+            } catch {
+                throw new CommandError(ERROR_CODES.INVALID_PARAM, `Malformed escape in ${url.pathname}`);
+            }
+        });
+
+        // Reads need viewer, /openapi.json nothing; commands check their action's role in runAction
+        req.role = role === null ? null : this.authenticate(req);
+        if (!hasRole(req.role, role)) {
+            throw new CommandError(ERROR_CODES.FORBIDDEN, `${method} ${url.pathname} needs the ${role} role (you are ${req.role})`);
+        }
+
+        const body = method === 'GET' || method === 'DELETE' ? {} : await this.readBody(req);
+        console.log(`\n📨 HTTP ${method} ${url.pathname}${Object.keys(body).length > 0 ? ` ${JSON.stringify(body)}` : ''}`);
+        this.sendJSON(res, 200, await handler(params, body, req));
+    }
+
+    /**
+     * The caller's role: admin without auth users, otherwise from a token or user/password
+     * @throws {CommandError} UNAUTHORIZED
+     */
+    authenticate(req) {
+        if (!this.authenticator.enabled) return 'admin';
+        const credentials = credentialsFromRequest(req);
+        const user = this.authenticator.authenticate(credentials);
+        if (!user) {
+            throw new CommandError(ERROR_CODES.UNAUTHORIZED, credentials ? 'Invalid credentials' : 'Authentication required (Bearer token, Basic or ?token=)');
+        }
+        return user.role;
+    }
+
+    /**
+     * Parse a JSON request body (empty = {})
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size <= MAX_BODY_BYTES) chunks.push(chunk); // read the rest so we can still reply
+            });
+            req.on('end', () => {
+                if (size > MAX_BODY_BYTES) {
+                    reject(new CommandError(ERROR_CODES.INVALID_PARAM, `Body larger than ${MAX_BODY_BYTES} bytes`));
+                    return;
+                }
+                const text = Buffer.concat(chunks).toString('utf8').trim();
+                if (text === '') return resolve({});
+                try {
+                    const body = JSON.parse(text);
+                    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                        reject(new CommandError(ERROR_CODES.INVALID_PARAM, 'Body must be a JSON object'));
+                    } else {
+                        resolve(body);
+                    }
+                } catch (error) {
+                    reject(new CommandError(ERROR_CODES.INVALID_PARAM, `Invalid JSON: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    getLight(mac) {
+        const light = this.lightManager.getStatus().lights.find(l => l.mac === mac.toLowerCase());
+        if (!light) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+        return light;
+    }
+
+    /**
+     * Run a light command from a request body on the target in the path
+     * @param {Object} target - { mac } or { group }, or {} for all lights
+     */
+    runCommand(body, target, req) {
+        if (body.mac !== undefined || body.group !== undefined) {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, 'The target goes in the path, not the body');
+        }
+        const action = inferAction(body);
+        if (!LIGHT_ACTIONS.includes(action)) {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, `${action} is not a light command (expected one of ${LIGHT_ACTIONS.join(', ')})`);
+        }
+        return this.runAction({ ...body, action, ...target }, req);
+    }
+
+    /**
+     * Validate a command like a WebSocket message, check the caller's role and run it
+     * @returns {Object} { action, success, timestamp, results? } like a WebSocket ack
+     */
+    async runAction(message, req) {
+        validateMessage(message);
+        const { action, mac, group, brightness, temperature, hue, saturation, scene, state, durationMs, easing,
+            effect, speed, intensity, name, macs } = message;
+        const required = ACTIONS[action].role;
+        if (!hasRole(req.role, required)) {
+            throw new CommandError(ERROR_CODES.FORBIDDEN, `${action} needs the ${required} role (you are ${req.role})`);
+        }
+
+        const target = group !== undefined ? { group } : (mac ? mac.toLowerCase() : null);
+        let result;
+        switch (action) {
+            case 'setCCT':
+                result = await this.lightManager.setCCT(target, brightness, temperature, { durationMs, easing });
+                break;
+            case 'setHSI':
+                result = await this.lightManager.setHSI(target, hue, saturation, brightness, { durationMs, easing });
+                break;
+            case 'setScene':
+                result = await this.lightManager.setScene(target, scene, brightness);
+                break;
+            case 'power':
+                result = await this.lightManager.setPower(target, state);
+                break;
+            case 'startEffect':
+                result = await this.lightManager.startEffect(target, effect, { speed, intensity, hue, saturation, temperature });
+                break;
+            case 'stopEffect':
+                result = await this.lightManager.stopEffect(target);
+                break;
+            case 'setGroup':
+                this.lightManager.setGroup(group, macs);
+                break;
+            case 'deleteGroup':
+                this.lightManager.deleteGroup(group);
+                break;
+            case 'recallPreset':
+                result = await this.lightManager.recallPreset(name, { durationMs, easing, target });
+                break;
+        }
+
+        const results = result === undefined ? null : [].concat(result);
+        const reply = {
+            action,
+            success: results ? results.every(r => r.success) : true,
+            timestamp: new Date().toISOString()
+        };
+        if (results) reply.results = results;
+        return reply;
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Error reply in the WebSocket error format, with the matching HTTP status
+     */
+    sendError(res, error) {
+        const code = errorCode(error);
+        if (code === ERROR_CODES.FAILED) console.error(`HTTP error: ${error.message}`);
+        if (res.headersSent) return;
+        if (code === ERROR_CODES.UNAUTHORIZED) res.setHeader('WWW-Authenticate', 'Bearer, Basic realm="neewer"');
+        this.sendJSON(res, HTTP_STATUS[code] ?? 500, {
+            error: true,
+            code,
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Stop the server
+     */
+    stop() {
+        if (this.server) {
+            console.log('\n🛑 Stopping HTTP server...');
+            this.server.close();
+        }
+    }
+}
@@ -5,22 +5,96 @@ import { LightScanner } from './LightScanner.js';
 import { NeewerLight } from './NeewerLight.js';
 import { CommandBuilder } from './CommandBuilder.js';
 import { LIGHTS } from './lightConfig.js';
-
-// Tunables
-const INITIAL_SCAN_MS = 7000;      // initial shared scan (fast, early-stop via target MACs)
-const RECONNECT_SCAN_MS = 5000;    // shared rescans for missing lights
-const HOURLY_SWEEP_MS = 60 * 60 * 1000;
-const CONNECT_CONCURRENCY = 1;     // limit concurrent connect/discover
-const CONNECT_STAGGER_MS = 150;    // slight jitter to avoid adapter spikes
+import { PROTOCOLS } from './constants.js';
+import { DEFAULT_MODEL, findModelByKey, findModelByName, capabilitiesFor } from './lightModels.js';
+import { getEasing, interpolate } from './easing.js';
+import { LIMIT_KEYS, resolveLimits, clampToLimits, calibrate, toDevice } from './lightLimits.js';
+import { EffectEngine } from './EffectEngine.js';
+import { PresetStore, PRESET_STATE_KEYS } from './PresetStore.js';
+import { CommandError, ERROR_CODES, errorCode } from './errors.js';
+
+// Tunables (defaults - override with the "tunables" section of the config file)
+export const DEFAULT_TUNABLES = {
+    commandIntervalMs: 40,             // min gap between writes to one light (queue coalesces in between)
+    fadeStepMs: 50,                    // fade resolution (queue drops steps the light can't keep up with)
+    initialScanMs: 7000,               // initial shared scan (fast, early-stop via target MACs)
+    discoveryScanMs: 15000,            // full scan started by startDiscovery
+    reconnectScanMs: 5000,             // shared rescans for missing lights
+    reconnectIntervalMs: 10000,        // first reconnect delay; doubles per failed attempt
+    reconnectMaxMs: 5 * 60 * 1000,     // cap for the reconnect backoff
+    parkAfterMs: 30 * 60 * 1000,       // offline this long -> parked (only retried by the sweep)
+    sweepIntervalMs: 60 * 60 * 1000,   // hourly sweep: one retry for each parked light
+    pollIntervalMs: 5000,              // liveness poll of connected lights
+    connectConcurrency: 1,             // limit concurrent connect/discover
+    connectStaggerMs: 150,             // slight jitter to avoid adapter spikes
+    reapplyOnConnect: true             // push the desired state back after every (re)connect
+};
+
+// Reconnect delays are randomized by +/- this fraction so lights don't retry in lockstep
+const RECONNECT_JITTER = 0.2;
+
+// Deltas kept for resync; a client further behind than this gets a full snapshot
+const DELTA_HISTORY = 1000;
+
+// Fields that change on their own every status and shouldn't produce a delta by themselves
+const VOLATILE_KEYS = new Set(['uptimeMs']);
+const stableJSON = (value) => JSON.stringify(value, (key, v) => (VOLATILE_KEYS.has(key) ? undefined : v));
+
+// How far reported values may be from desired ones before status calls it drift
+// (legacy CCT bytes are ~120K apart, hue/saturation round-trip through integers)
+const DRIFT_TOLERANCE = { brightness: 1, cct: 100, hue: 2, saturation: 1 };
+
+// Group names double as command targets, so keep them simple (and not 'all')
+export const GROUP_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
 
 export class LightManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.transport - BLE transport (see transports/index.js); defaults to noble
+     * @param {Object[]} options.lights - Light configs ({ name, mac, ... }); defaults to lightConfig.js
+     * @param {Object} options.tunables - Overrides for DEFAULT_TUNABLES
+     * @param {Object} options.groups - Named groups: { name: [mac, ...] }
+     * @param {PresetStore} options.presets - Preset storage; defaults to in-memory
+     */
+    constructor(options = {}) {
         super();
         this.lights = new Map(); // mac -> NeewerLight
-        this.scanner = new LightScanner();
-        this.reconnectInterval = 10000;
+        this.lightConfigs = new Map(); // mac -> { name, mac, ... }
+        for (const config of options.lights || LIGHTS) {
+            this.lightConfigs.set(config.mac.toLowerCase(), { ...config, mac: config.mac.toLowerCase() });
+        }
+        this.tunables = { ...DEFAULT_TUNABLES, ...options.tunables };
+        this.groups = new Map(); // name -> [mac, ...] (order is used by chase)
+        for (const [name, macs] of Object.entries(options.groups || {})) {
+            this.groups.set(name, macs.map(mac => mac.toLowerCase()));
+        }
+        this.scanner = new LightScanner(options.transport);
         this.reconnectTimers = new Map();
-        this.pollInterval = 5000;
+        this.sweepTimer = null;
+
+        // Running fades: mac -> { timer, cancelled }
+        this.fades = new Map();
+
+        // Server-side effects (strobe, pulse, ...)
+        this.effects = new EffectEngine();
+
+        // What each light was last told to show: mac -> { isOn, mode, brightness, cct, ... }.
+        // Survives disconnects and is pushed back on reconnect (see reapplyDesired).
+        this.desired = new Map();
+
+        // Neewer lights seen in scans that aren't managed yet: mac -> { mac, name, rssi, model, ... }
+        this.discovered = new Map();
+        this.discoveredPeripherals = new Map(); // mac -> peripheral, so adopt can connect without a rescan
+        this.dismissed = new Set(); // MACs not to report again until restart
+
+        // Saved multi-light looks
+        this.presets = options.presets || new PresetStore();
+
+        // Status deltas: every change gets the next seq; recent ones are kept for resync
+        this.seq = 0;
+        this.deltaLog = [];
+        this.lastLightStatus = new Map(); // mac -> status entry as of the last delta
+        this.lastGroups = '{}';
         this.pollTimer = null;
 
         // Only one scan at a time for everyone
@@ -33,8 +107,8 @@ export class LightManager extends EventEmitter {
         // NEW: pause the polling loop while scans/connects are in flight
         this.pollPaused = false;
 
-        // Optional: track adaptive reconnect attempts (can be used later)
-        this.reconnectAttempts = new Map(); // mac -> count
+        // Connection health per light (see recordConnectResult / healthOf)
+        this.health = new Map(); // mac -> { attempts, totalAttempts, successes, lastError, ... }
     }
 
     /**
@@ -49,7 +123,9 @@ export class LightManager extends EventEmitter {
         this.activeScanPromise = this.scanner.scan(durationMs, true, targetMacs);
 
         try {
-            return await this.activeScanPromise;
+            const found = await this.activeScanPromise;
+            this.noteDiscovered(found);
+            return found;
         } finally {
             this.activeScanPromise = null;
             // Resume polling only if no connects are in flight
@@ -62,7 +138,7 @@ export class LightManager extends EventEmitter {
      * Polling is paused while we have active connects.
      */
     async acquireConnectSlot() {
-        if (this.activeConnects < CONNECT_CONCURRENCY) {
+        if (this.activeConnects < this.tunables.connectConcurrency) {
             this.activeConnects++;
             this.pollPaused = true; // pause while any connects in flight
             return;
@@ -89,51 +165,29 @@ export class LightManager extends EventEmitter {
      * Initialize - scan and connect to all configured lights
      */
     async initialize() {
+        const configs = [...this.lightConfigs.values()];
         console.log('Initializing Light Manager...');
-        console.log(`Looking for ${LIGHTS.length} configured lights...\n`);
+        console.log(`Looking for ${configs.length} configured lights...\n`);
 
-        const targetMacs = LIGHTS.map(l => l.mac.toLowerCase());
-        const discoveredLights = await this.getSharedScan(INITIAL_SCAN_MS, targetMacs);
+        const targetMacs = configs.map(c => c.mac);
+        const discoveredLights = await this.getSharedScan(this.tunables.initialScanMs, targetMacs);
 
         // Seed map and schedule connects
         const tasks = [];
-        for (const config of LIGHTS) {
+        for (const config of configs) {
             const discovered = discoveredLights.find(l =>
-                l.address.toLowerCase() === config.mac.toLowerCase()
+                l.address.toLowerCase() === config.mac
             );
 
             if (discovered) {
-                const light = new NeewerLight(discovered.peripheral);
-                light.name = config.name;
-                this.lights.set(config.mac.toLowerCase(), light);
-
-                // Disconnect handler
-                light.peripheral.removeAllListeners('disconnect');
-                light.peripheral.once('disconnect', () => {
-                    console.log(`\n❌ ${light.name} disconnected!`);
-                    light.connected = false;
-                    light.state.brightness = 0;
-                    light.state.cct = 5600;
-                    this.emitStatus();
-                    console.log(`   Scheduling reconnect for ${light.name}...`);
-                    this.scheduleReconnect(config.mac.toLowerCase());
-                });
-
-                // State change / soft disconnect
-                light.on('stateChanged', () => this.emitStatus());
-                light.on('disconnected', () => {
-                    console.log(`${light.name} connection lost during operation`);
-                    light.connected = false;
-                    this.emitStatus();
-                    this.scheduleReconnect(config.mac.toLowerCase());
-                });
+                this.adoptPeripheral(config.mac, discovered.peripheral);
 
                 // Queue connect with semaphore + stagger
                 tasks.push((async () => {
-                    await new Promise(res => setTimeout(res, CONNECT_STAGGER_MS));
+                    await new Promise(res => setTimeout(res, this.tunables.connectStaggerMs));
                     await this.acquireConnectSlot();
                     try {
-                        await this.connectLight(config.mac.toLowerCase());
+                        await this.connectLight(config.mac);
                     } finally {
                         this.releaseConnectSlot();
                     }
@@ -141,21 +195,9 @@ export class LightManager extends EventEmitter {
 
             } else {
                 console.log(`⚠ ${config.name} (${config.mac}) not found - will keep trying to connect`);
-                const placeholderLight = {
-                    name: config.name,
-                    mac: config.mac.toLowerCase(),
-                    connected: false,
-                    state: { brightness: 0, cct: 5600 }
-                };
-                this.lights.set(config.mac.toLowerCase(), {
-                    name: config.name,
-                    peripheral: null,
-                    connected: false,
-                    rssi: 0,
-                    state: { brightness: 0, cct: 5600 },
-                    toJSON: () => placeholderLight
-                });
-                this.scheduleReconnect(config.mac.toLowerCase());
+                this.lights.set(config.mac, this.createPlaceholder(config));
+                this.recordConnectResult(config.mac, new Error('Not found in initial scan'));
+                this.scheduleReconnect(config.mac);
             }
         }
 
@@ -165,12 +207,535 @@ export class LightManager extends EventEmitter {
         this.emitStatus();
         this.startPolling();
 
-        // Hourly sweep to re-attempt any that are still down
-        setInterval(() => {
+        this.startSweep();
+    }
+
+    /**
+     * Hourly sweep: one reconnect attempt for each parked light (a light that has
+     * been offline longer than parkAfterMs no longer retries on its own)
+     */
+    startSweep() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = setInterval(() => {
             for (const [mac, l] of this.lights) {
-                if (!l.connected && !l.isBusy) this.scheduleReconnect(mac);
+                if (l.connected || l.isBusy) continue;
+                if (this.healthOf(mac).parked || !this.reconnectTimers.has(mac)) {
+                    console.log(`🧹 Sweep: retrying ${l.name}`);
+                    this.scheduleReconnect(mac, 0);
+                }
+            }
+        }, this.tunables.sweepIntervalMs);
+    }
+
+    /**
+     * Health record for a light (created on first use)
+     */
+    healthOf(mac) {
+        if (!this.health.has(mac)) {
+            this.health.set(mac, {
+                attempts: 0,          // consecutive failed attempts (drives the backoff)
+                totalAttempts: 0,
+                successes: 0,
+                lastError: null,
+                lastErrorAt: null,
+                lastConnectedAt: null,
+                connectedSince: null,
+                offlineSince: Date.now(),
+                parked: false,
+                nextRetryAt: null
+            });
+        }
+        return this.health.get(mac);
+    }
+
+    /**
+     * Count a connect attempt
+     * @param {Error|null} error - null on success
+     */
+    recordConnectResult(mac, error = null) {
+        const health = this.healthOf(mac);
+        health.totalAttempts++;
+        if (error) {
+            health.attempts++;
+            health.lastError = error.message;
+            health.lastErrorAt = Date.now();
+            return;
+        }
+        health.successes++;
+        health.attempts = 0;
+        health.lastConnectedAt = health.connectedSince = Date.now();
+        health.offlineSince = null;
+        health.parked = false;
+    }
+
+    /**
+     * Mark a light as offline (for uptime / parking)
+     */
+    recordDisconnect(mac) {
+        const health = this.healthOf(mac);
+        health.connectedSince = null;
+        if (!health.offlineSince) health.offlineSince = Date.now();
+    }
+
+    /**
+     * Health summary for status
+     */
+    healthStatus(mac) {
+        const health = this.healthOf(mac);
+        return {
+            attempts: health.attempts,
+            totalAttempts: health.totalAttempts,
+            successRate: health.totalAttempts > 0 ? Math.round(health.successes / health.totalAttempts * 100) / 100 : null,
+            lastError: health.lastError,
+            lastErrorAt: health.lastErrorAt && new Date(health.lastErrorAt).toISOString(),
+            lastConnectedAt: health.lastConnectedAt && new Date(health.lastConnectedAt).toISOString(),
+            uptimeMs: health.connectedSince ? Date.now() - health.connectedSince : 0,
+            offlineSince: health.offlineSince && new Date(health.offlineSince).toISOString(),
+            parked: health.parked,
+            nextRetryAt: health.nextRetryAt && new Date(health.nextRetryAt).toISOString()
+        };
+    }
+
+    /**
+     * Backoff delay after `attempts` consecutive failures:
+     * reconnectIntervalMs * 2^(attempts-1), capped at reconnectMaxMs, +/- RECONNECT_JITTER
+     */
+    backoffDelay(attempts) {
+        const { reconnectIntervalMs, reconnectMaxMs } = this.tunables;
+        const base = Math.min(reconnectMaxMs, reconnectIntervalMs * 2 ** Math.max(0, attempts - 1));
+        const jitter = 1 + (Math.random() * 2 - 1) * RECONNECT_JITTER;
+        return Math.round(base * jitter);
+    }
+
+    /**
+     * Stand-in for a configured light that hasn't been found yet
+     */
+    createPlaceholder(config) {
+        const placeholder = {
+            name: config.name,
+            peripheral: null,
+            connected: false,
+            rssi: 0,
+            state: { brightness: 0, cct: 5600 },
+            toJSON: () => ({ name: placeholder.name, mac: config.mac, connected: false, state: placeholder.state })
+        };
+        return placeholder;
+    }
+
+    /**
+     * Wrap a discovered peripheral in a NeewerLight for a configured MAC and wire it up
+     * @returns {NeewerLight}
+     */
+    adoptPeripheral(mac, peripheral) {
+        const config = this.lightConfigs.get(mac);
+        const light = new NeewerLight(peripheral, { commandIntervalMs: this.tunables.commandIntervalMs });
+        light.name = config.name;
+        this.configureLight(light, config);
+        this.lights.set(mac, light);
+        this.attachLight(mac, light);
+        return light;
+    }
+
+    /**
+     * Apply per-light config overrides: model (a lightModels.js key),
+     * protocol ('legacy', 'infinity' or 'auto'/unset = use the model's) and limits (see lightLimits.js)
+     */
+    configureLight(light, config) {
+        if (config?.model) {
+            const model = findModelByKey(config.model);
+            if (model) light.applyModel(model);
+            else console.log(`⚠ ${light.name}: unknown model '${config.model}', using ${light.model.key}`);
+        }
+        if (config?.protocol && config.protocol !== 'auto') {
+            if (Object.values(PROTOCOLS).includes(config.protocol)) light.protocol = config.protocol;
+            else console.log(`⚠ ${light.name}: unknown protocol '${config.protocol}', using ${light.protocol}`);
+        }
+        light.setLimits(config || {});
+        console.log(`   ${light.name} is a ${light.model.key} (${light.protocol} protocol)${describeLimits(light.limits, config)}`);
+    }
+
+    /**
+     * Wire up disconnect / state / frame handlers for a freshly created light
+     */
+    attachLight(mac, light) {
+        // Disconnect handler
+        light.peripheral.removeAllListeners('disconnect');
+        light.peripheral.once('disconnect', () => {
+            console.log(`\n❌ ${light.name} disconnected!`);
+            this.handleLightLost(mac, light);
+        });
+
+        // State change / soft disconnect (a failed liveness poll)
+        light.on('stateChanged', () => this.emitStatus());
+        light.on('disconnected', () => {
+            console.log(`${light.name} connection lost during operation`);
+            this.handleLightLost(mac, light);
+        });
+
+        // Surface frames we couldn't use
+        light.on('badFrame', (frame) => this.emit('frameError', { mac, name: light.name, ...frame }));
+        light.on('unknownFrame', (frame) => this.emit('unknownFrame', { mac, name: light.name, ...frame }));
+    }
+
+    /**
+     * A light dropped (peripheral disconnect or soft disconnect): stop writing to it,
+     * forget what it reported and schedule a reconnect
+     */
+    handleLightLost(mac, light) {
+        light.connected = false;
+        light.reported = null;
+        this.recordDisconnect(mac);
+        this.cancelFade(mac);
+        this.effects.removeLight(mac);
+        this.emitStatus();
+        console.log(`   Scheduling reconnect for ${light.name}...`);
+        this.scheduleReconnect(mac);
+    }
+
+    /**
+     * Apply a reloaded config: update tunables, connect new lights, drop removed ones
+     * and pick up name/model/protocol and group changes in place.
+     * @param {{lights: Object[], groups: Object, tunables: Object}} config - Validated config (see ConfigStore)
+     */
+    applyConfig(config) {
+        const previous = this.tunables;
+        this.tunables = { ...DEFAULT_TUNABLES, ...config.tunables };
+
+        if (this.tunables.commandIntervalMs !== previous.commandIntervalMs) {
+            for (const light of this.lights.values()) {
+                if (light.queue) light.queue.minIntervalMs = this.tunables.commandIntervalMs;
+            }
+        }
+        if (this.tunables.pollIntervalMs !== previous.pollIntervalMs && this.pollTimer) {
+            this.stopPolling();
+            this.startPolling();
+        }
+        if (this.tunables.sweepIntervalMs !== previous.sweepIntervalMs && this.sweepTimer) {
+            this.startSweep();
+        }
+
+        const wanted = new Map(config.lights.map(c => [c.mac.toLowerCase(), c]));
+        for (const mac of [...this.lightConfigs.keys()]) {
+            if (!wanted.has(mac)) this.unmanageLight(mac); // can't reject: disconnect() logs its own errors
+        }
+        for (const [mac, lightConfig] of wanted) {
+            if (this.lightConfigs.has(mac)) this.updateLight(mac, lightConfig);
+            else this.manageLight(lightConfig);
+        }
+        this.groups = new Map(Object.entries(config.groups || {}));
+        this.emitStatus();
+    }
+
+    /**
+     * Add a light at runtime (API). Emits 'configChanged' so the config file can be updated.
+     * @param {Object} config - Validated { name, mac, model?, protocol?, ... }
+     * @returns {Object} The light's status entry
+     */
+    addLight(config) {
+        this.manageLight(config);
+        this.emitConfigChanged();
+        return this.getLightStatus(config.mac.toLowerCase());
+    }
+
+    /**
+     * Remove a light at runtime (API). Emits 'configChanged'.
+     */
+    async removeLight(mac) {
+        await this.unmanageLight(mac);
+        this.emitConfigChanged();
+    }
+
+    /**
+     * Rename a light at runtime (API). Emits 'configChanged'.
+     * @returns {Object} The light's status entry
+     */
+    renameLight(mac, name) {
+        mac = mac.toLowerCase();
+        const config = this.lightConfigs.get(mac);
+        if (!config) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+
+        console.log(`✏️  Renamed ${config.name} → ${name} (${mac})`);
+        this.updateLight(mac, { ...config, name });
+        this.emitConfigChanged();
+        return this.getLightStatus(mac);
+    }
+
+    /**
+     * Current light configs, in order (what gets saved back to the config file)
+     * @returns {Object[]}
+     */
+    getLightConfigs() {
+        return [...this.lightConfigs.values()].map(config => ({ ...config }));
+    }
+
+    /**
+     * Current groups as { name: [mac, ...] }
+     */
+    getGroups() {
+        return Object.fromEntries([...this.groups].map(([name, macs]) => [name, [...macs]]));
+    }
+
+    emitConfigChanged() {
+        this.emit('configChanged', { lights: this.getLightConfigs(), groups: this.getGroups() });
+        this.emitStatus();
+    }
+
+    /**
+     * Create or replace a group (API). Emits 'configChanged'.
+     * @param {string} name - Letters, digits, '-' and '_'
+     * @param {string[]} macs - Managed lights, in the order effects like chase should use
+     */
+    setGroup(name, macs) {
+        assertGroupName(name);
+        if (!Array.isArray(macs)) throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Group members must be an array of MACs');
+
+        const members = [...new Set(macs.map(mac => String(mac).toLowerCase()))];
+        const unknown = members.filter(mac => !this.lightConfigs.has(mac));
+        if (unknown.length > 0) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${unknown.join(', ')} not found`);
+
+        this.groups.set(name, members);
+        console.log(`👥 Group ${name}: ${members.map(mac => this.lightConfigs.get(mac).name).join(', ') || '(empty)'}`);
+        this.emitConfigChanged();
+        return members;
+    }
+
+    /**
+     * Delete a group (API). Emits 'configChanged'.
+     */
+    deleteGroup(name) {
+        if (!this.groups.delete(name)) throw new CommandError(ERROR_CODES.NOT_FOUND, `Group ${name} not found`);
+        console.log(`👥 Deleted group ${name}`);
+        this.emitConfigChanged();
+    }
+
+    /**
+     * Add one light to a group, creating the group if needed (API)
+     */
+    addToGroup(name, mac) {
+        return this.setGroup(name, [...(this.groups.get(name) || []), mac]);
+    }
+
+    /**
+     * Remove one light from a group (API); the group is kept even if it ends up empty
+     */
+    removeFromGroup(name, mac) {
+        const members = this.groups.get(name);
+        if (!members) throw new CommandError(ERROR_CODES.NOT_FOUND, `Group ${name} not found`);
+        if (!members.includes(mac.toLowerCase())) throw new CommandError(ERROR_CODES.NOT_FOUND, `Light ${mac} is not in group ${name}`);
+        return this.setGroup(name, members.filter(m => m !== mac.toLowerCase()));
+    }
+
+    /**
+     * Record Neewer lights from a scan that aren't managed; emits 'deviceDiscovered' for new ones
+     * @param {NeewerLight[]} found - Scan results
+     */
+    noteDiscovered(found) {
+        for (const candidate of found) {
+            const mac = (candidate.address || '').toLowerCase();
+            if (!mac || this.lightConfigs.has(mac) || this.dismissed.has(mac)) continue;
+
+            const now = new Date().toISOString();
+            const known = this.discovered.get(mac);
+            if (known) {
+                Object.assign(known, { rssi: candidate.rssi, lastSeenAt: now });
+            } else {
+                const device = {
+                    mac,
+                    name: candidate.name,
+                    rssi: candidate.rssi,
+                    model: candidate.model.key,
+                    protocol: candidate.protocol,
+                    firstSeenAt: now,
+                    lastSeenAt: now
+                };
+                this.discovered.set(mac, device);
+                console.log(`🆕 Discovered ${device.name} (${mac}, ${device.model}, ${device.rssi} dBm) - not managed yet`);
+                this.emit('deviceDiscovered', { ...device });
             }
-        }, HOURLY_SWEEP_MS);
+            this.discoveredPeripherals.set(mac, candidate.peripheral);
+        }
+    }
+
+    /**
+     * Run a full scan (no early stop) to find unmanaged lights. New ones are
+     * emitted as 'deviceDiscovered' while the scan runs its course.
+     * @param {number} durationMs - Defaults to the discoveryScanMs tunable
+     * @returns {Object[]} Every unmanaged light seen so far
+     */
+    async startDiscovery(durationMs = this.tunables.discoveryScanMs) {
+        console.log(`\n🔍 Discovery: scanning ${durationMs / 1000}s for unmanaged lights...`);
+        this.emit('discovery', { state: 'started', durationMs });
+        try {
+            await this.getSharedScan(durationMs);
+        } finally {
+            this.emit('discovery', { state: 'finished', devices: this.getDiscovered() });
+        }
+        return this.getDiscovered();
+    }
+
+    /**
+     * Start a live scan session (see ScanSession in LightScanner.js). Neewer lights it
+     * sees that aren't managed are also noted as discovered.
+     * @param {Object} options - { durationMs, all, minRssi, reportIntervalMs }
+     * @returns {Promise<ScanSession>}
+     */
+    async startScanSession(options = {}) {
+        const session = await this.scanner.startSession(options);
+        session.on('neewer', (report, peripheral) => this.noteDiscovered([new NeewerLight(peripheral)]));
+        return session;
+    }
+
+    /**
+     * Unmanaged lights seen in scans, strongest signal first
+     */
+    getDiscovered() {
+        return [...this.discovered.values()]
+            .map(device => ({ ...device }))
+            .sort((a, b) => (b.rssi ?? -999) - (a.rssi ?? -999));
+    }
+
+    /**
+     * Start managing a discovered light (API). Emits 'configChanged' so it is saved.
+     * @param {Object} config - Validated { name, mac, model?, protocol?, ... }
+     * @param {string} group - Optional group to add it to (created if needed)
+     * @returns {Object} The light's status entry
+     */
+    adoptDevice(config, group = null) {
+        const mac = config.mac.toLowerCase();
+        if (!this.discovered.has(mac)) {
+            throw new CommandError(ERROR_CODES.NOT_FOUND, `Light ${mac} has not been discovered (run discovery, or use addLight)`);
+        }
+        if (group !== null) assertGroupName(group);
+
+        this.manageLight(config);
+        // Already have the peripheral: connect straight away instead of rescanning
+        const peripheral = this.discoveredPeripherals.get(mac);
+        if (peripheral) this.adoptPeripheral(mac, peripheral);
+        if (group !== null) this.groups.set(group, [...(this.groups.get(group) || []), mac]);
+
+        this.discoveredPeripherals.delete(mac);
+        console.log(`🤝 Adopted ${config.name} (${mac})${group !== null ? ` into group ${group}` : ''}`);
+        this.emitConfigChanged();
+        return this.getLightStatus(mac);
+    }
+
+    /**
+     * Hide a discovered light until restart (API)
+     */
+    dismissDevice(mac) {
+        mac = mac.toLowerCase();
+        if (!this.discovered.delete(mac)) throw new CommandError(ERROR_CODES.NOT_FOUND, `Light ${mac} has not been discovered`);
+        this.discoveredPeripherals.delete(mac);
+        this.dismissed.add(mac);
+    }
+
+    /**
+     * Names of the groups a light belongs to
+     */
+    groupsOf(mac) {
+        return [...this.groups].filter(([, macs]) => macs.includes(mac)).map(([name]) => name);
+    }
+
+    /**
+     * Resolve a command target to MACs
+     * @param {string|Object|null} target - null/'all', a MAC, or { group: 'name' }
+     * @returns {{macs: string[], multiple: boolean}} multiple is false for a single MAC
+     */
+    resolveTarget(target) {
+        if (target === null || target === undefined || target === 'all') {
+            return { macs: [...this.lights.keys()], multiple: true };
+        }
+        if (typeof target === 'object') {
+            const members = this.groups.get(target.group);
+            if (!members) throw new CommandError(ERROR_CODES.NOT_FOUND, `Group ${target.group} not found`);
+            return { macs: members.filter(mac => this.lights.has(mac)), multiple: true };
+        }
+        return { macs: [target.toLowerCase()], multiple: false };
+    }
+
+    /**
+     * Start managing a new light: it is scanned for and connected in the background
+     * @param {Object} config - { name, mac, model?, protocol?, ... }
+     */
+    manageLight(config) {
+        const mac = config.mac.toLowerCase();
+        if (this.lightConfigs.has(mac)) throw new CommandError(ERROR_CODES.INVALID_PARAM, `Light ${mac} is already managed`);
+
+        this.lightConfigs.set(mac, { ...config, mac });
+        this.lights.set(mac, this.createPlaceholder(this.lightConfigs.get(mac)));
+        this.discovered.delete(mac);
+        console.log(`➕ Added ${config.name} (${mac})`);
+        this.scheduleReconnect(mac, 0);
+    }
+
+    /**
+     * Retry a light now (API), including a parked one; resets its backoff
+     */
+    reconnectLight(mac) {
+        mac = mac.toLowerCase();
+        const light = this.lights.get(mac);
+        if (!light) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+        if (light.connected) throw new CommandError(ERROR_CODES.INVALID_PARAM, `Light ${light.name} is already connected`);
+
+        const health = this.healthOf(mac);
+        health.attempts = 0;
+        health.parked = false;
+        health.offlineSince = Date.now(); // restart the parking clock
+        this.scheduleReconnect(mac, 0);
+        this.emitStatus();
+    }
+
+    /**
+     * Stop managing a light: cancel reconnects, fades and effects, and disconnect it
+     */
+    async unmanageLight(mac) {
+        mac = mac.toLowerCase();
+        const light = this.lights.get(mac);
+        if (!this.lightConfigs.has(mac)) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+
+        const timer = this.reconnectTimers.get(mac);
+        if (timer) { clearTimeout(timer); this.reconnectTimers.delete(mac); }
+        this.health.delete(mac);
+        this.cancelFade(mac);
+        this.effects.removeLight(mac);
+        this.desired.delete(mac);
+        this.lightConfigs.delete(mac);
+        this.lights.delete(mac);
+        for (const [name, macs] of this.groups) {
+            if (macs.includes(mac)) this.groups.set(name, macs.filter(m => m !== mac));
+        }
+        console.log(`➖ Removed ${light?.name || mac} (${mac})`);
+
+        if (light?.peripheral) {
+            // Detach first so the disconnect doesn't schedule a reconnect
+            light.peripheral.removeAllListeners('disconnect');
+            light.removeAllListeners();
+            if (light.connected) await light.disconnect();
+        }
+    }
+
+    /**
+     * Update a managed light's config in place (name, model, protocol, ...)
+     */
+    updateLight(mac, config) {
+        mac = mac.toLowerCase();
+        const previous = this.lightConfigs.get(mac);
+        if (!previous) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+
+        const updated = { ...config, mac };
+        this.lightConfigs.set(mac, updated);
+        const light = this.lights.get(mac);
+        if (!light) return;
+
+        light.name = updated.name;
+        if (light.applyModel && (updated.model !== previous.model || updated.protocol !== previous.protocol)) {
+            // Back to the detected model before applying the new overrides
+            light.applyModel(findModelByName(light.peripheral.advertisement.localName));
+            this.configureLight(light, updated);
+        } else if (light.setLimits && LIMIT_KEYS.some(key => updated[key] !== previous[key])) {
+            light.setLimits(updated);
+            console.log(`   ${light.name} limits updated${describeLimits(light.limits, updated) || ': none'}`);
+        }
     }
 
     /**
@@ -178,7 +743,7 @@ export class LightManager extends EventEmitter {
      * (skips entire cycle when pollPaused is true)
      */
     startPolling() {
-        console.log(`\n🔄 Starting status polling every ${this.pollInterval/1000} seconds`);
+        console.log(`\n🔄 Starting status polling every ${this.tunables.pollIntervalMs/1000} seconds`);
 
         let pollCount = 0;
         this.pollTimer = setInterval(async () => {
@@ -204,7 +769,7 @@ export class LightManager extends EventEmitter {
             if (results.length > 0) {
                 console.log(`💓 Poll #${pollCount}: ${results.join(' | ')}`);
             }
-        }, this.pollInterval);
+        }, this.tunables.pollIntervalMs);
     }
 
     /**
@@ -246,19 +811,21 @@ export class LightManager extends EventEmitter {
             await Promise.race([connectPromise, timeoutPromise]);
 
             console.log(`✓ ${light.name} connected successfully`);
+            this.recordConnectResult(mac);
             this.emitStatus();
 
             // Cancel any reconnect timer
             const t = this.reconnectTimers.get(mac);
             if (t) { clearTimeout(t); this.reconnectTimers.delete(mac); }
+            this.healthOf(mac).nextRetryAt = null;
 
-            // Reset adaptive attempt counter on success
-            this.reconnectAttempts.set(mac, 0);
+            if (this.tunables.reapplyOnConnect) await this.reapplyDesired(mac);
 
             return true;
         } catch (error) {
             console.error(`Failed to connect to ${light.name}: ${error.message}`);
             light.connected = false;
+            this.recordConnectResult(mac, error);
 
             // Force disconnect to clean up
             try { if (light.peripheral) await light.peripheral.disconnectAsync(); } catch (_) {}
@@ -269,15 +836,57 @@ export class LightManager extends EventEmitter {
         }
     }
 
+    /**
+     * Push a light's desired state back to it (after a reconnect the light may have
+     * power-cycled or been changed by hand)
+     * @returns {boolean} false if there is nothing to reapply or the write failed
+     */
+    async reapplyDesired(mac) {
+        const desired = this.desired.get(mac);
+        const light = this.lights.get(mac);
+        if (!desired || !light?.connected) return false;
+
+        try {
+            Object.assign(light.state, desired);
+            await this.applyToLight(mac, light, (l, options) => (
+                l.state.isOn === false
+                    ? { command: CommandBuilder.turnOff(options), state: {} }
+                    : this.buildRestore(l, options)
+            ));
+            console.log(`↩️  Reapplied desired state to ${light.name}`);
+            this.emitStatus();
+            return true;
+        } catch (error) {
+            console.log(`⚠ Could not reapply desired state to ${light.name}: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Schedule reconnection attempt (deduped)
+     * @param {number|null} delayMs - Explicit delay (also retries a parked light);
+     *   null uses the exponential backoff and parks lights offline longer than parkAfterMs
      */
-    scheduleReconnect(mac) {
+    scheduleReconnect(mac, delayMs = null) {
         const existing = this.reconnectTimers.get(mac);
         if (existing) { clearTimeout(existing); this.reconnectTimers.delete(mac); }
 
         const light = this.lights.get(mac);
-        console.log(`⏰ Will retry ${light?.name || mac} in ${this.reconnectInterval/1000} seconds`);
+        const health = this.healthOf(mac);
+        if (delayMs === null) {
+            if (health.offlineSince && Date.now() - health.offlineSince >= this.tunables.parkAfterMs && health.attempts > 0) {
+                if (!health.parked) {
+                    console.log(`🅿️  ${light?.name || mac} offline for ${formatDuration(Date.now() - health.offlineSince)} - parked (retried every ${formatDuration(this.tunables.sweepIntervalMs)})`);
+                    health.parked = true;
+                    this.emitStatus();
+                }
+                health.nextRetryAt = null;
+                return;
+            }
+            delayMs = this.backoffDelay(health.attempts);
+        }
+        health.nextRetryAt = Date.now() + delayMs;
+        console.log(`⏰ Will retry ${light?.name || mac} in ${Math.round(delayMs / 100) / 10} seconds`);
 
         const timer = setTimeout(async () => {
             this.reconnectTimers.delete(mac);
@@ -291,28 +900,11 @@ export class LightManager extends EventEmitter {
             if (!l.peripheral || !l.peripheral.address) {
                 console.log(`  Rescanning for ${l.name} (shared)...`);
                 try {
-                    const foundList = await this.getSharedScan(RECONNECT_SCAN_MS, [mac.toLowerCase()]);
+                    const foundList = await this.getSharedScan(this.tunables.reconnectScanMs, [mac.toLowerCase()]);
                     const found = foundList.find(d => d.address.toLowerCase() === mac.toLowerCase());
+                    if (!this.lightConfigs.has(mac)) return; // removed while we were scanning
                     if (found) {
-                        const realLight = new NeewerLight(found.peripheral);
-                        realLight.name = l.name;
-                        this.lights.set(mac, realLight);
-
-                        realLight.peripheral.removeAllListeners('disconnect');
-                        realLight.peripheral.once('disconnect', () => {
-                            console.log(`${realLight.name} disconnected!`);
-                            realLight.connected = false;
-                            realLight.state.brightness = 0;
-                            realLight.state.cct = 5600;
-                            this.emitStatus();
-                            this.scheduleReconnect(mac);
-                        });
-                        realLight.on('stateChanged', () => this.emitStatus());
-                        realLight.on('disconnected', () => {
-                            realLight.connected = false;
-                            this.emitStatus();
-                            this.scheduleReconnect(mac);
-                        });
+                        const realLight = this.adoptPeripheral(mac, found.peripheral);
 
                         console.log(`  Found ${realLight.name}, connecting...`);
                         await this.acquireConnectSlot();
@@ -321,11 +913,13 @@ export class LightManager extends EventEmitter {
                         return;
                     } else {
                         console.log(`  ${l.name} not found in shared scan`);
+                        this.recordConnectResult(mac, new Error('Not found in scan'));
                         this.scheduleReconnect(mac);
                         return;
                     }
                 } catch (err) {
                     console.log(`  Shared scan failed: ${err.message}`);
+                    this.recordConnectResult(mac, err);
                     this.scheduleReconnect(mac);
                     return;
                 }
@@ -334,110 +928,578 @@ export class LightManager extends EventEmitter {
             await this.acquireConnectSlot();
             try { await this.connectLight(mac); }
             finally { this.releaseConnectSlot(); }
-        }, this.reconnectInterval);
+        }, delayMs);
 
         this.reconnectTimers.set(mac, timer);
     }
 
     /**
-     * Set CCT for one or all lights
-     * @param {string|null} mac - Specific light MAC or null/'all'
-     * @param {number} brightness - 0-100
-     * @param {number} temperature - Kelvin
+     * Send a command to one light, a group or all lights and apply state on success
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @param {Function} build - (light, options) => { command, state, fade }, options = { protocol, mac }.
+     *   `command` is a Buffer or an array of Buffers sent in order. May throw if the light can't take the command; `state` is merged into light.state after the write.
+     *   `fade` (optional) starts a timed transition instead, see startFade().
+     * @returns {Object[]|Object} [{ mac, success, error?, code? }] for several lights; { mac, success } for one
+     *   (a single light that fails throws, with a CommandError code where known)
      */
-    async setCCT(mac, brightness, temperature) {
-        const command = CommandBuilder.setCCT(brightness, temperature);
+    async sendToLights(target, build) {
+        const { macs, multiple } = this.resolveTarget(target);
 
-        if (mac === null || mac === 'all') {
+        if (multiple) {
             const results = [];
-            for (const [lightMac, light] of this.lights) {
+            for (const lightMac of macs) {
+                const light = this.lights.get(lightMac);
                 if (light.connected) {
                     try {
-                        await light.sendCommand(command);
-                        light.state.brightness = brightness;
-                        light.state.cct = temperature;
+                        await this.applyToLight(lightMac, light, build);
                         results.push({ mac: lightMac, success: true });
                     } catch (error) {
-                        results.push({ mac: lightMac, success: false, error: error.message });
+                        results.push({ mac: lightMac, success: false, error: error.message, code: errorCode(error) });
                     }
                 } else {
-                    results.push({ mac: lightMac, success: false, error: 'Not connected' });
+                    results.push({ mac: lightMac, success: false, error: 'Not connected', code: ERROR_CODES.NOT_CONNECTED });
                 }
             }
             this.emitStatus();
             return results;
         } else {
-            const light = this.lights.get(mac.toLowerCase());
-            if (!light) throw new Error(`Light ${mac} not found`);
-            if (!light.connected) throw new Error(`Light ${light.name} is not connected`);
+            const mac = macs[0];
+            const light = this.lights.get(mac);
+            if (!light) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${target} not found`);
+            if (!light.connected) throw new CommandError(ERROR_CODES.NOT_CONNECTED, `Light ${light.name} is not connected`);
 
-            await light.sendCommand(command);
-            light.state.brightness = brightness;
-            light.state.cct = temperature;
+            await this.applyToLight(mac, light, build);
             this.emitStatus();
             return { mac, success: true };
         }
     }
 
+    /**
+     * Build and write a command for one light. Any running fade or effect on the light is cancelled first.
+     */
+    async applyToLight(mac, light, build) {
+        this.cancelFade(mac);
+        this.effects.removeLight(mac);
+
+        const { command, state, fade } = build(light, { protocol: light.protocol, mac });
+        if (command) await this.writeCommands(light, command);
+        Object.assign(light.state, state);
+        // A fade's target is what the light should end up showing
+        this.desired.set(mac, { ...this.desired.get(mac), ...state, ...fade?.to });
+        if (fade) this.startFade(mac, light, fade);
+    }
+
+    /**
+     * Write one command or a sequence of commands to a light
+     */
+    async writeCommands(light, command) {
+        const commands = Array.isArray(command) ? command : [command];
+        for (const bytes of commands) {
+            await light.sendCommand(bytes);
+        }
+    }
+
+    /**
+     * Clamp brightness / temperature to the light's limits (model range narrowed by its config)
+     * @returns {{brightness: number, temperature?: number}}
+     */
+    clampToLimits(light, brightness, temperature) {
+        const values = clampToLimits(light.limits, { brightness, cct: temperature });
+        const clamped = { brightness: values.brightness };
+        if (temperature !== undefined) {
+            clamped.temperature = values.cct;
+            if (clamped.temperature !== Math.round(temperature)) {
+                const { cctRange, fixedTemp } = light.limits;
+                const range = fixedTemp !== null ? `fixed ${fixedTemp}K` : `${cctRange.min}-${cctRange.max}K`;
+                console.log(`   ${light.name}: ${temperature}K clamped to ${clamped.temperature}K (${range})`);
+            }
+        }
+        return clamped;
+    }
+
+    /**
+     * Start a timed transition on one light; steps are written every fadeStepMs until done
+     * @param {Object} fade - { from, to, durationMs, easing: Function, build: (values) => Buffer }
+     */
+    startFade(mac, light, { from, to, durationMs, easing, build }) {
+        const startedAt = Date.now();
+        const fade = { timer: null, cancelled: false, to, durationMs };
+
+        const step = () => {
+            const t = Math.min(1, (Date.now() - startedAt) / durationMs);
+            const values = interpolate(from, to, easing(t));
+            if (t >= 1) clearInterval(fade.timer);
+
+            light.sendCommand(build(values)).then(() => {
+                if (fade.cancelled) return;
+                Object.assign(light.state, values);
+                if (t >= 1 && this.fades.get(mac) === fade) {
+                    this.fades.delete(mac);
+                    this.emitStatus();
+                }
+            }).catch((error) => {
+                if (fade.cancelled) return;
+                console.log(`⚠ Fade on ${light.name} stopped: ${error.message}`);
+                this.cancelFade(mac);
+                this.emitStatus();
+            });
+        };
+
+        this.fades.set(mac, fade);
+        fade.timer = setInterval(step, this.tunables.fadeStepMs);
+        step();
+    }
+
+    /**
+     * Stop a running fade (the light stays where the fade got to)
+     */
+    cancelFade(mac) {
+        const fade = this.fades.get(mac);
+        if (!fade) return;
+        fade.cancelled = true;
+        clearInterval(fade.timer);
+        this.fades.delete(mac);
+    }
+
+    /**
+     * Set CCT for one light, a group or all lights
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @param {number} brightness - 0-100
+     * @param {number} temperature - Kelvin (clamped to each light's CCT range)
+     * @param {Object} transition - { durationMs, easing } to fade from the current state (default: cut)
+     */
+    async setCCT(target, brightness, temperature, { durationMs = 0, easing = 'linear' } = {}) {
+        const ease = durationMs > 0 ? getEasing(easing) : null;
+
+        return this.sendToLights(target, (light, options) => {
+            const clamped = this.clampToLimits(light, brightness, temperature);
+            if (!ease) {
+                const out = toDevice(light.limits, { brightness: clamped.brightness, cct: clamped.temperature });
+                return {
+                    command: CommandBuilder.setCCT(out.brightness, out.cct, options),
+                    state: { mode: 'cct', brightness: clamped.brightness, cct: clamped.temperature, isOn: true }
+                };
+            }
+            return {
+                state: { mode: 'cct', isOn: true },
+                fade: {
+                    from: { brightness: light.state.isOn ? light.state.brightness : 0, cct: light.state.cct },
+                    to: { brightness: clamped.brightness, cct: clamped.temperature },
+                    durationMs,
+                    easing: ease,
+                    build: (v) => {
+                        const out = toDevice(light.limits, v);
+                        return CommandBuilder.setCCT(out.brightness, out.cct, options);
+                    }
+                }
+            };
+        });
+    }
+
+    /**
+     * Set HSI (RGB color) for one light, a group or all lights
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @param {number} hue - 0-360
+     * @param {number} saturation - 0-100
+     * @param {number} brightness - 0-100
+     * @param {Object} transition - { durationMs, easing } to fade from the current state (default: cut)
+     */
+    async setHSI(target, hue, saturation, brightness, { durationMs = 0, easing = 'linear' } = {}) {
+        const ease = durationMs > 0 ? getEasing(easing) : null;
+
+        return this.sendToLights(target, (light, options) => {
+            if (!light.capabilities.supportsRGB) {
+                throw new CommandError(ERROR_CODES.UNSUPPORTED, `${light.name} (${light.model.key}) does not support RGB`);
+            }
+            const clamped = this.clampToLimits(light, brightness);
+            if (!ease) {
+                const out = toDevice(light.limits, { brightness: clamped.brightness });
+                return {
+                    command: CommandBuilder.setHSI(hue, saturation, out.brightness, options),
+                    state: { mode: 'hsi', hue, saturation, brightness: clamped.brightness, isOn: true }
+                };
+            }
+
+            // Coming from white, start desaturated at the target hue
+            const { state } = light;
+            const fromColor = state.mode === 'hsi'
+                ? { hue: state.hue, saturation: state.saturation }
+                : { hue, saturation: 0 };
+            return {
+                state: { mode: 'hsi', isOn: true },
+                fade: {
+                    from: { ...fromColor, brightness: state.isOn ? state.brightness : 0 },
+                    to: { hue, saturation, brightness: clamped.brightness },
+                    durationMs,
+                    easing: ease,
+                    build: (v) => CommandBuilder.setHSI(v.hue, v.saturation, toDevice(light.limits, v).brightness, options)
+                }
+            };
+        });
+    }
+
+    /**
+     * Start a built-in scene (animation) on one light, a group or all lights
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @param {string|number} scene - Scene id (1-9) or name, e.g. 'CANDLE_LIGHT'
+     * @param {number} brightness - 0-100
+     */
+    async setScene(target, scene, brightness) {
+        const sceneId = CommandBuilder.resolveSceneId(scene);
+
+        return this.sendToLights(target, (light, options) => {
+            if (!light.capabilities.supportsScenes) {
+                throw new CommandError(ERROR_CODES.UNSUPPORTED, `${light.name} (${light.model.key}) does not support scenes`);
+            }
+            const clamped = this.clampToLimits(light, brightness);
+            const out = toDevice(light.limits, { brightness: clamped.brightness });
+            return {
+                command: CommandBuilder.setScene(sceneId, out.brightness, options),
+                state: { mode: 'scene', scene: sceneId, brightness: clamped.brightness, isOn: true }
+            };
+        });
+    }
+
+    /**
+     * Power one light, a group or all lights on, off or toggle.
+     * Power-on re-sends the last CCT / HSI / scene state so the light comes back as it was.
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @param {string} action - 'on', 'off' or 'toggle'
+     */
+    async setPower(target, action) {
+        if (!['on', 'off', 'toggle'].includes(action)) {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown power action: ${action} (expected on, off or toggle)`);
+        }
+
+        return this.sendToLights(target, (light, options) => {
+            const on = action === 'toggle' ? !light.state.isOn : action === 'on';
+            if (!on) {
+                return { command: CommandBuilder.turnOff(options), state: { isOn: false } };
+            }
+            const restore = this.buildRestore(light, options);
+            return {
+                command: [CommandBuilder.turnOn(options), restore.command],
+                state: { ...restore.state, isOn: true }
+            };
+        });
+    }
+
+    /**
+     * Build the command + state that re-apply a light's last known mode (CCT if unknown)
+     * @returns {{command: Buffer, state: Object}}
+     */
+    buildRestore(light, options) {
+        const { mode, hue, saturation, scene } = light.state;
+        // Never "restore" to dark; no clamp log, reported CCTs are often a few K outside the limits
+        const { brightness, cct } = clampToLimits(light.limits, { brightness: light.state.brightness || 50, cct: light.state.cct });
+        const out = toDevice(light.limits, { brightness, cct });
+
+        if (mode === 'hsi' && light.capabilities.supportsRGB) {
+            return {
+                command: CommandBuilder.setHSI(hue, saturation, out.brightness, options),
+                state: { mode, brightness }
+            };
+        }
+        if (mode === 'scene' && scene && light.capabilities.supportsScenes) {
+            return {
+                command: CommandBuilder.setScene(scene, out.brightness, options),
+                state: { mode, brightness }
+            };
+        }
+        return {
+            command: CommandBuilder.setCCT(out.brightness, out.cct, options),
+            state: { mode: 'cct', brightness, cct }
+        };
+    }
+
+    /**
+     * Start a server-side effect on one light, a group or all lights (replaces any effect they were in)
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all' (chase runs in group/light order)
+     * @param {string} name - strobe, pulse, flicker, colorCycle or chase
+     * @param {Object} params - { speed, intensity (0-100), hue, saturation, temperature }
+     */
+    async startEffect(target, name, params = {}) {
+        const run = this.effects.createRun(name, params);
+
+        const results = await this.sendToLights(target, (light, options) => {
+            this.effects.checkSupported(run, light);
+            this.effects.addLight(run, options.mac, light, options);
+            return { state: { isOn: true } };
+        });
+
+        if (run.macs.length > 0) this.effects.start(run);
+        this.emitStatus();
+        return results;
+    }
+
+    /**
+     * Stop effects on one light, a group or all lights and put them back to their state before the effect
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     */
+    async stopEffect(target) {
+        const { macs: targetMacs, multiple } = this.resolveTarget(target);
+        const macs = multiple ? targetMacs.filter(mac => this.effects.effectFor(mac)) : targetMacs;
+        if (!multiple && !this.effects.effectFor(macs[0])) {
+            throw new CommandError(ERROR_CODES.NOT_FOUND, `No effect running on ${target}`);
+        }
+
+        const results = [];
+        for (const lightMac of macs) {
+            const light = this.lights.get(lightMac);
+            const before = this.effects.stateBefore(lightMac);
+            try {
+                // applyToLight takes the light out of its effect before writing
+                Object.assign(light.state, before);
+                await this.applyToLight(lightMac, light, (l, options) => (
+                    l.state.isOn === false
+                        ? { command: CommandBuilder.turnOff(options), state: {} }
+                        : this.buildRestore(l, options)
+                ));
+                results.push({ mac: lightMac, success: true });
+            } catch (error) {
+                this.effects.removeLight(lightMac);
+                results.push({ mac: lightMac, success: false, error: error.message, code: errorCode(error) });
+            }
+        }
+        this.emitStatus();
+        return multiple ? results : results[0];
+    }
+
+    /**
+     * Snapshot the current state of connected lights into a named preset (overwrites one with the same name)
+     * @param {string} name
+     * @param {string|Object|null} target - Light MAC, { group: 'name' } or null/'all'
+     * @returns {Object} The saved preset
+     */
+    savePreset(name, target = null) {
+        const lights = {};
+        for (const mac of this.resolveTarget(target).macs) {
+            const light = this.lights.get(mac);
+            if (!light?.connected) continue;
+            // A light in an effect is saved as it was before the effect
+            const state = { ...light.state, ...this.effects.stateBefore(mac) };
+            lights[mac] = Object.fromEntries(PRESET_STATE_KEYS.map(key => [key, state[key] ?? null]));
+        }
+        if (Object.keys(lights).length === 0) throw new CommandError(ERROR_CODES.NOT_CONNECTED, 'No connected lights to save in the preset');
+
+        const preset = this.presets.save(name, lights);
+        console.log(`🎞️  Saved preset ${preset.name} (${Object.keys(lights).length} lights)`);
+        this.emit('presetsChanged', this.presets.list());
+        return preset;
+    }
+
+    /**
+     * Put the lights in a preset back to their saved state
+     * @param {string} name
+     * @param {Object} options
+     * @param {number} options.durationMs - Fade CCT/HSI lights over this long (scenes and power cut)
+     * @param {string} options.easing - Easing curve for the fade
+     * @param {string|Object|null} options.target - Only recall lights in this MAC / { group } (default: all in the preset)
+     * @returns {Object[]} [{ mac, success, error? }] per light in the preset
+     */
+    async recallPreset(name, { durationMs = 0, easing = 'linear', target = null } = {}) {
+        const preset = this.presets.get(name);
+        const only = target === null ? null : new Set(this.resolveTarget(target).macs);
+        console.log(`🎞️  Recalling preset ${preset.name}${durationMs > 0 ? ` over ${durationMs}ms` : ''}`);
+
+        const results = [];
+        for (const [mac, state] of Object.entries(preset.lights)) {
+            if (only && !only.has(mac)) continue;
+            try {
+                if (!this.lightConfigs.has(mac)) throw new CommandError(ERROR_CODES.UNKNOWN_LIGHT, `Light ${mac} not found`);
+                await this.applyPresetState(mac, state, { durationMs, easing });
+                results.push({ mac, success: true });
+            } catch (error) {
+                results.push({ mac, success: false, error: error.message, code: errorCode(error) });
+            }
+        }
+        return results;
+    }
+
+    applyPresetState(mac, state, transition) {
+        if (state.isOn === false) return this.setPower(mac, 'off');
+        switch (state.mode) {
+            case 'hsi':
+                return this.setHSI(mac, state.hue, state.saturation, state.brightness, transition);
+            case 'scene':
+                return this.setScene(mac, state.scene, state.brightness);
+            default:
+                return this.setCCT(mac, state.brightness, state.cct, transition);
+        }
+    }
+
+    listPresets() {
+        return this.presets.list();
+    }
+
+    deletePreset(name) {
+        this.presets.delete(name);
+        console.log(`🎞️  Deleted preset ${name}`);
+        this.emit('presetsChanged', this.presets.list());
+    }
+
     /**
      * Get status of all lights
      */
     getStatus() {
         const status = {
             timestamp: new Date().toISOString(),
-            lights: [],
-            light_1: false,
-            light_2: false,
-            light_3: false,
-            light_4: false
+            seq: this.seq,
+            lights: [...this.lightConfigs.keys()].map(mac => this.getLightStatus(mac)),
+            groups: this.getGroups()
         };
 
-        for (const config of LIGHTS) {
-            const light = this.lights.get(config.mac.toLowerCase());
-
-            if (light) {
-                status.lights.push({
-                    name: light.name,
-                    mac: config.mac,
-                    connected: light.connected,
-                    brightness: light.state.brightness,
-                    temperature: light.state.cct,
-                    rssi: light.rssi
-                });
-            } else {
-                status.lights.push({
-                    name: config.name,
-                    mac: config.mac,
-                    connected: false,
-                    brightness: 0,
-                    temperature: 0,
-                    rssi: null
-                });
-            }
-        }
-
-        // Set the light_N boolean flags
+        // light_N connected flags (one per managed light, in config order) for simple clients
         status.lights.forEach((light, index) => {
             status[`light_${index + 1}`] = light.connected;
         });
+        status.lightCount = status.lights.length;
+        status.connectedCount = status.lights.filter(l => l.connected).length;
 
         return status;
     }
 
+    /**
+     * Status entry for one managed light (see getStatus)
+     */
+    getLightStatus(mac) {
+        const config = this.lightConfigs.get(mac);
+        const light = this.lights.get(mac);
+
+        if (light) {
+            return {
+                name: light.name,
+                mac: config.mac,
+                connected: light.connected,
+                mode: light.state.mode || 'cct',
+                brightness: light.state.brightness,
+                temperature: light.state.cct,
+                hue: light.state.hue ?? 0,
+                saturation: light.state.saturation ?? 100,
+                scene: light.state.scene ?? null,
+                sceneName: light.state.scene ? CommandBuilder.sceneName(light.state.scene) : null,
+                isOn: light.state.isOn ?? false,
+                protocol: light.protocol || null,
+                capabilities: light.capabilities || capabilitiesFor(findModelByKey(config.model) || DEFAULT_MODEL),
+                limits: light.limits || resolveLimits(findModelByKey(config.model) || DEFAULT_MODEL, config),
+                frames: light.frameStats || null,
+                queue: light.queue ? light.queue.stats() : null,
+                fading: this.fades.has(config.mac),
+                effect: this.effects.effectFor(config.mac),
+                groups: this.groupsOf(config.mac),
+                desired: this.desired.get(mac) || null,
+                reported: light.reported || null,
+                // Mid-fade / mid-effect output differs from the target on purpose
+                drift: this.fades.has(mac) || this.effects.effectFor(mac)
+                    ? []
+                    : driftBetween(this.desired.get(mac), light.reported, light.limits),
+                health: this.healthStatus(mac),
+                rssi: light.rssi
+            };
+        }
+
+        return {
+            name: config.name,
+            mac: config.mac,
+            connected: false,
+            mode: 'cct',
+            brightness: 0,
+            temperature: 0,
+            hue: 0,
+            saturation: 100,
+            scene: null,
+            sceneName: null,
+            isOn: false,
+            protocol: config.protocol || null,
+            capabilities: capabilitiesFor(findModelByKey(config.model) || DEFAULT_MODEL),
+            limits: resolveLimits(findModelByKey(config.model) || DEFAULT_MODEL, config),
+            frames: null,
+            queue: null,
+            fading: false,
+            effect: null,
+            groups: this.groupsOf(config.mac),
+            desired: this.desired.get(mac) || null,
+            reported: null,
+            drift: [],
+            health: this.healthStatus(mac),
+            rssi: null
+        };
+    }
+
     /**
      * Emit status update
      */
     emitStatus() {
         const status = this.getStatus();
+        this.emitDeltas(status);
         this.emit('status', status);
 
         // Compact one-line summary
-        const summary = status.lights.map(l =>
-            `${l.name}: ${l.connected ? '🟢' : '🔴'} ${l.brightness}%@${l.temperature}K`
-        ).join(' | ');
+        const summary = status.lights.map(l => {
+            const value = l.mode === 'hsi' ? `${l.hue}°/${l.saturation}%`
+                : l.mode === 'scene' ? l.sceneName
+                : `${l.temperature}K`;
+            return `${l.name}: ${l.connected ? '🟢' : '🔴'} ${l.brightness}%@${value}`;
+        }).join(' | ');
         console.log(`📊 ${summary}`);
     }
 
+    /**
+     * Diff a status against the last one and emit a 'delta' per change:
+     * lightChanged (only the changed fields), lightConnected / lightDisconnected / lightAdded
+     * (the whole light entry), lightRemoved and groupsChanged
+     */
+    emitDeltas(status) {
+        const current = new Map(status.lights.map(light => [light.mac, light]));
+
+        for (const [mac, light] of current) {
+            const previous = this.lastLightStatus.get(mac);
+            if (!previous) {
+                this.pushDelta('lightAdded', { mac, light });
+                continue;
+            }
+            const changes = {};
+            for (const key of Object.keys(light)) {
+                if (stableJSON(light[key]) !== stableJSON(previous[key])) changes[key] = light[key];
+            }
+            if (Object.keys(changes).length === 0) continue;
+
+            if ('connected' in changes) {
+                this.pushDelta(light.connected ? 'lightConnected' : 'lightDisconnected', { mac, light });
+            } else {
+                this.pushDelta('lightChanged', { mac, changes });
+            }
+        }
+        for (const mac of this.lastLightStatus.keys()) {
+            if (!current.has(mac)) this.pushDelta('lightRemoved', { mac });
+        }
+        const groups = JSON.stringify(status.groups);
+        if (groups !== this.lastGroups) this.pushDelta('groupsChanged', { groups: status.groups });
+
+        this.lastLightStatus = current;
+        this.lastGroups = groups;
+        status.seq = this.seq;
+    }
+
+    pushDelta(event, data) {
+        const delta = { event, seq: ++this.seq, timestamp: new Date().toISOString(), ...data };
+        this.deltaLog.push(delta);
+        if (this.deltaLog.length > DELTA_HISTORY) this.deltaLog.shift();
+        this.emit('delta', delta);
+    }
+
+    /**
+     * Deltas after a client's last seen seq, for resync
+     * @param {number} seq
+     * @returns {Object[]|null} null if seq is unknown or too old (send a full status instead)
+     */
+    deltasSince(seq) {
+        if (!Number.isInteger(seq) || seq < 0 || seq > this.seq) return null;
+        const oldest = this.deltaLog.length > 0 ? this.deltaLog[0].seq : this.seq + 1;
+        if (seq < this.seq && seq + 1 < oldest) return null;
+        return this.deltaLog.filter(delta => delta.seq > seq);
+    }
+
     /**
      * Shutdown - disconnect all lights
      */
@@ -447,7 +1509,15 @@ export class LightManager extends EventEmitter {
         // Stop polling
         this.stopPolling();
 
+        // Stop fades and effects
+        for (const mac of [...this.fades.keys()]) this.cancelFade(mac);
+        this.effects.stopAll();
+
+        // End scans and scan sessions
+        this.scanner.stopScanning();
+
         // Clear all reconnect timers
+        clearInterval(this.sweepTimer);
         for (const timer of this.reconnectTimers.values()) clearTimeout(timer);
         this.reconnectTimers.clear();
 
@@ -459,3 +1529,60 @@ export class LightManager extends EventEmitter {
         }
     }
 }
+
+/**
+ * Fields where the reported state differs from the desired one (only fields both sides know
+ * and that matter in the desired mode; empty if the light hasn't reported)
+ * @param {Object} limits - The light's limits; values are compared as sent to the light,
+ *   so rounding through a brightness curve doesn't count as drift
+ * @returns {string[]}
+ */
+function driftBetween(desired, reported, limits = null) {
+    if (!desired || !reported) return [];
+    if (limits) {
+        desired = calibrate(limits, desired);
+        reported = calibrate(limits, reported);
+    }
+
+    const keys = ['isOn'];
+    if (desired.isOn !== false) {
+        keys.push('mode', 'brightness');
+        if (desired.mode === 'hsi') keys.push('hue', 'saturation');
+        else if (desired.mode === 'scene') keys.push('scene');
+        else keys.push('cct');
+    }
+
+    return keys.filter(key => {
+        if (desired[key] === undefined || desired[key] === null || reported[key] === undefined) return false;
+        if (key in DRIFT_TOLERANCE) return Math.abs(desired[key] - reported[key]) > DRIFT_TOLERANCE[key];
+        return desired[key] !== reported[key];
+    });
+}
+
+/**
+ * '45s', '12 min', '2.5 h'
+ */
+function formatDuration(ms) {
+    if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)} min`;
+    return `${Math.round(ms / 360000) / 10} h`;
+}
+
+/**
+ * ' (fixed 5600K, 10-80%)' for the configure log; empty if the light has no limits configured
+ */
+function describeLimits(limits, config) {
+    if (!config || !LIMIT_KEYS.some(key => config[key] !== undefined)) return '';
+    const parts = [limits.fixedTemp !== null ? `fixed ${limits.fixedTemp}K` : `${limits.cctRange.min}-${limits.cctRange.max}K`];
+    const { min, max } = limits.brightnessRange;
+    if (min !== 0 || max !== 100) parts.push(`${min}-${max}%`);
+    if (limits.brightnessCurve !== 1) parts.push(`curve ${limits.brightnessCurve}`);
+    if (limits.cctOffset !== 0) parts.push(`${limits.cctOffset > 0 ? '+' : ''}${limits.cctOffset}K offset`);
+    return ` (${parts.join(', ')})`;
+}
+
+function assertGroupName(name) {
+    if (typeof name !== 'string' || !GROUP_NAME_PATTERN.test(name) || name === 'all') {
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, `Invalid group name: ${name} (letters, digits, '-' and '_'; not 'all')`);
+    }
+}
@@ -1,45 +1,198 @@
 // LightScanner - handles scanning for Neewer lights
-import noble from '@stoprocent/noble';
+import { EventEmitter } from 'events';
 import { NeewerLight } from './NeewerLight.js';
-import { NEEWER_NAME_PATTERNS, SCAN_TIMEOUT, RSSI_THRESHOLD } from './constants.js';
+import { CommandBuilder } from './CommandBuilder.js';
+import { findModelByName } from './lightModels.js';
+import {
+    NEEWER_NAME_PATTERNS, NEEWER_SERVICE_UUIDS, SCAN_TIMEOUT, RSSI_THRESHOLD, RSSI_HISTORY_LENGTH
+} from './constants.js';
+import { createTransport } from './transports/index.js';
+
+export const DEFAULT_SESSION_MS = 60000;
+export const DEFAULT_REPORT_INTERVAL_MS = 1000;
+
+// noble reports 128-bit UUIDs lowercase without dashes; other stacks may not
+const normalizeUuid = (uuid) => String(uuid).toLowerCase().replace(/-/g, '');
+
+/**
+ * Why a peripheral looks like a Neewer light
+ * @returns {'serviceUuid'|'name'|null} null if it doesn't
+ */
+export function neewerMatch(peripheral) {
+    const advertisement = peripheral.advertisement || {};
+    const uuids = (advertisement.serviceUuids || []).map(normalizeUuid);
+    if (uuids.some(uuid => NEEWER_SERVICE_UUIDS.includes(uuid))) return 'serviceUuid';
+
+    const name = advertisement.localName;
+    if (!name) return null;
+    const upperName = name.toUpperCase();
+    return NEEWER_NAME_PATTERNS.some(pattern => upperName.includes(pattern.toUpperCase())) ? 'name' : null;
+}
+
+// Copy of a report that later advertisements won't mutate
+const snapshot = (report) => ({ ...report, rssiHistory: report.rssiHistory.map(sample => ({ ...sample })) });
+
+/**
+ * A live scan started with LightScanner.startSession. Events:
+ *   'device' (report, peripheral)        first sighting of a device
+ *   'advertisement' (report, peripheral) latest report, at most once per reportIntervalMs per device
+ *   'neewer' (report, peripheral)        a device is first recognized as a Neewer light (on first
+ *                                        sighting, or when a later scan response brings its name)
+ *   'end' (reports)                      stopped, or durationMs ran out
+ */
+export class ScanSession extends EventEmitter {
+    /**
+     * @param {LightScanner} scanner
+     * @param {number} id
+     * @param {Object} options
+     * @param {number} options.durationMs - Stop after this long (default 60s)
+     * @param {boolean} options.all - Report every device, not only Neewer lights
+     * @param {number} options.minRssi - Ignore weaker advertisements (default RSSI_THRESHOLD)
+     * @param {number} options.reportIntervalMs - Per-device 'advertisement' rate limit (default 1s)
+     */
+    constructor(scanner, id, options = {}) {
+        super();
+        this.scanner = scanner;
+        this.id = id;
+        this.options = {
+            durationMs: options.durationMs ?? DEFAULT_SESSION_MS,
+            all: options.all ?? false,
+            minRssi: options.minRssi ?? RSSI_THRESHOLD,
+            reportIntervalMs: options.reportIntervalMs ?? DEFAULT_REPORT_INTERVAL_MS
+        };
+        this.startedAt = new Date().toISOString();
+        this.active = true;
+        this.devices = new Map();    // peripheral.id -> report
+        this.lastReported = new Map(); // peripheral.id -> ms of the last 'advertisement'
+        this.timer = setTimeout(() => this.stop(), this.options.durationMs);
+        this.onDiscover = (peripheral) => this.handle(peripheral);
+    }
+
+    handle(peripheral) {
+        if (typeof peripheral.rssi === 'number' && peripheral.rssi < this.options.minRssi) return;
+
+        const matchedBy = neewerMatch(peripheral);
+        let report = this.devices.get(peripheral.id);
+        if (!report && !matchedBy && !this.options.all) return;
+
+        const isNew = !report;
+        const wasNeewer = report?.neewer ?? false;
+        if (isNew) {
+            report = { id: peripheral.id, firstSeenAt: new Date().toISOString(), seenCount: 0, rssiHistory: [] };
+            this.devices.set(peripheral.id, report);
+        }
+        this.update(report, peripheral, matchedBy);
+
+        if (isNew) this.emit('device', snapshot(report), peripheral);
+        if (report.neewer && !wasNeewer) this.emit('neewer', snapshot(report), peripheral);
+
+        const now = Date.now();
+        if (now - (this.lastReported.get(peripheral.id) ?? 0) >= this.options.reportIntervalMs) {
+            this.lastReported.set(peripheral.id, now);
+            this.emit('advertisement', snapshot(report), peripheral);
+        }
+    }
+
+    /**
+     * Fold one advertisement into a device report (names and UUIDs often arrive
+     * in a later scan response, so earlier values are kept when missing)
+     */
+    update(report, peripheral, matchedBy) {
+        const advertisement = peripheral.advertisement || {};
+        const manufacturerData = Buffer.isBuffer(advertisement.manufacturerData) ? advertisement.manufacturerData : null;
+        const name = advertisement.localName || report.name || null;
+        const neewer = report.matchedBy || matchedBy;
+
+        Object.assign(report, {
+            address: peripheral.address ? peripheral.address.toLowerCase() : null,
+            name,
+            neewer: neewer !== null,
+            matchedBy: neewer,
+            model: neewer ? findModelByName(name).key : null,
+            protocol: neewer ? CommandBuilder.detectProtocol(name) : null,
+            serviceUuids: [...new Set([...(report.serviceUuids || []), ...(advertisement.serviceUuids || []).map(normalizeUuid)])],
+            manufacturerId: manufacturerData?.length >= 2 ? manufacturerData.readUInt16LE(0) : (report.manufacturerId ?? null),
+            manufacturerData: manufacturerData ? manufacturerData.toString('hex') : (report.manufacturerData ?? null),
+            txPowerLevel: advertisement.txPowerLevel ?? report.txPowerLevel ?? null,
+            rssi: peripheral.rssi,
+            lastSeenAt: new Date().toISOString(),
+            seenCount: report.seenCount + 1
+        });
+        report.rssiHistory.push({ rssi: peripheral.rssi, at: report.lastSeenAt });
+        if (report.rssiHistory.length > RSSI_HISTORY_LENGTH) report.rssiHistory.shift();
+    }
+
+    /**
+     * Every device seen so far, strongest signal first
+     */
+    getDevices() {
+        return [...this.devices.values()]
+            .map(snapshot)
+            .sort((a, b) => (b.rssi ?? -999) - (a.rssi ?? -999));
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        clearTimeout(this.timer);
+        this.scanner.endSession(this);
+        console.log(`🛰️  Scan session ${this.id} ended (${this.devices.size} devices)`);
+        this.emit('end', this.getDevices());
+    }
+}
 
 export class LightScanner {
-    constructor() {
+    /**
+     * @param {Object} transport - BLE transport (see transports/index.js); defaults to noble
+     */
+    constructor(transport = createTransport('noble')) {
+        this.transport = transport;
         this.discoveredLights = new Map(); // Map of peripheral.id -> NeewerLight
         this.isScanning = false;
         this.scanTimeout = null;
+        this.finishScan = null;
+
+        // scan() and scan sessions share the adapter: it scans while anyone listens
+        this.listeners = new Set();
+        this.onDiscover = (peripheral) => {
+            for (const listener of [...this.listeners]) listener(peripheral);
+        };
+        this.sessions = new Set();
+        this.nextSessionId = 1;
     }
 
     /**
-     * Check if a peripheral is a Neewer light based on its name
+     * Check if a peripheral is a Neewer light (by advertised service UUID or name)
      */
     isNeewerLight(peripheral) {
-        const name = peripheral.advertisement?.localName;
-        if (!name) return false;
-        const upperName = name.toUpperCase();
-        return NEEWER_NAME_PATTERNS.some(pattern =>
-            upperName.includes(pattern.toUpperCase())
-        );
+        return neewerMatch(peripheral) !== null;
     }
 
     /**
      * Wait for Bluetooth adapter to be ready
      */
     async waitForAdapter() {
-        return new Promise((resolve, reject) => {
-            if (noble.state === 'poweredOn') {
-                resolve();
-                return;
-            }
-            const timeout = setTimeout(() => {
-                reject(new Error('Bluetooth adapter did not power on in time'));
-            }, 5000);
-            noble.once('stateChange', (state) => {
-                clearTimeout(timeout);
-                if (state === 'poweredOn') resolve();
-                else reject(new Error(`Bluetooth adapter is ${state}`));
-            });
-        });
+        return this.transport.waitForAdapter();
+    }
+
+    /**
+     * Add a 'discover' listener, starting the adapter scan for the first one.
+     * Always scans with duplicates so sessions see every advertisement.
+     */
+    startRadio(listener) {
+        this.listeners.add(listener);
+        if (this.listeners.size > 1) return;
+        this.transport.on('discover', this.onDiscover);
+        this.transport.startScanning([], true);
+    }
+
+    /**
+     * Remove a listener, stopping the adapter scan after the last one
+     */
+    stopRadio(listener) {
+        if (!this.listeners.delete(listener) || this.listeners.size > 0) return;
+        try { this.transport.removeListener('discover', this.onDiscover); } catch {}
+        try { this.transport.stopScanning(); } catch {}
     }
 
     /**
@@ -75,8 +228,10 @@ export class LightScanner {
             };
 
             const stopAndResolve = () => {
-                try { noble.removeListener('discover', onDiscover); } catch {}
-                try { noble.stopScanning(); } catch {}
+                clearTimeout(this.scanTimeout);
+                this.scanTimeout = null;
+                this.finishScan = null;
+                this.stopRadio(onDiscover);
                 this.isScanning = false;
                 const lights = Array.from(this.discoveredLights.values());
                 console.log(`\nScan complete. Found ${lights.length} Neewer light(s).`);
@@ -87,7 +242,7 @@ export class LightScanner {
                 // RSSI filter
                 if (typeof peripheral.rssi === 'number' && peripheral.rssi < RSSI_THRESHOLD) return;
 
-                // Match by name
+                // Match by service UUID or name (lights with an empty name still advertise the service)
                 if (!this.isNeewerLight(peripheral)) return;
 
                 // Track
@@ -103,10 +258,8 @@ export class LightScanner {
                 }
             };
 
-            noble.on('discover', onDiscover);
-
-            // Start scanning — allowDuplicates true tends to surface devices faster
-            noble.startScanning([], allowDuplicates);
+            this.finishScan = stopAndResolve;
+            this.startRadio(onDiscover);
 
             // Time-based stop as a fallback
             this.scanTimeout = setTimeout(() => {
@@ -116,17 +269,36 @@ export class LightScanner {
     }
 
     /**
-     * Stop scanning immediately
+     * Start a live scan session that reports advertisements as events (see ScanSession)
+     * @param {Object} options - ScanSession options
+     * @returns {Promise<ScanSession>}
+     */
+    async startSession(options = {}) {
+        await this.waitForAdapter();
+        const session = new ScanSession(this, this.nextSessionId++, options);
+        this.sessions.add(session);
+        this.startRadio(session.onDiscover);
+        console.log(`🛰️  Scan session ${session.id} started (${session.options.durationMs / 1000}s${session.options.all ? ', all devices' : ''})`);
+        return session;
+    }
+
+    /**
+     * Called by ScanSession.stop()
+     */
+    endSession(session) {
+        this.sessions.delete(session);
+        this.stopRadio(session.onDiscover);
+    }
+
+    /**
+     * Stop scanning immediately (a running scan resolves with what it found so far,
+     * and every scan session ends)
      */
     stopScanning() {
-        if (this.scanTimeout) {
-            clearTimeout(this.scanTimeout);
-            this.scanTimeout = null;
-        }
+        for (const session of [...this.sessions]) session.stop();
 
-        if (this.isScanning) {
-            noble.stopScanning();
-            this.isScanning = false;
+        if (this.finishScan) {
+            this.finishScan();
             console.log('Scanning stopped.');
         }
     }
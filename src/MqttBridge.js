@@ -0,0 +1,296 @@
+// MQTT Bridge - publishes light state to an MQTT broker, takes commands from it, and
+// announces the lights to Home Assistant (MQTT discovery, JSON schema)
+//
+// Topics (base = baseTopic, id = MAC without colons):
+//   <base>/bridge/state     online / offline (retained, offline is the last will)
+//   <base>/<id>/state       JSON state (retained): { state, brightness, color_mode, color_temp, color, effect }
+//   <base>/<id>/availability online while the light is connected (retained)
+//   <base>/<id>/set         commands, same JSON as state (+ transition in seconds)
+//   <discoveryPrefix>/light/neewer_<id>/config   Home Assistant discovery (retained)
+
+import { EFFECTS } from './EffectEngine.js';
+import { SCENES, CCT_DEFAULT } from './constants.js';
+import { validateMessage } from './protocol.js';
+
+export const DEFAULT_MQTT = {
+    baseTopic: 'neewer',
+    discoveryPrefix: 'homeassistant',
+    discovery: true,
+    reconnectPeriodMs: 5000
+};
+
+const topicId = (mac) => mac.replace(/:/g, '').toLowerCase();
+
+export class MqttBridge {
+    /**
+     * @param {LightManager} lightManager
+     * @param {Object} options - The config's mqtt section: { url, username?, password?, clientId?,
+     *   baseTopic?, discoveryPrefix?, discovery? }
+     */
+    constructor(lightManager, options) {
+        this.lightManager = lightManager;
+        this.options = { ...DEFAULT_MQTT, ...options };
+        this.client = null;
+        this.announced = new Set(); // MACs of lights with a discovery config on the broker
+
+        this.onDelta = (delta) => this.handleDelta(delta);
+    }
+
+    get bridgeTopic() {
+        return `${this.options.baseTopic}/bridge/state`;
+    }
+
+    lightTopic(mac, suffix) {
+        return `${this.options.baseTopic}/${topicId(mac)}/${suffix}`;
+    }
+
+    discoveryTopic(mac) {
+        return `${this.options.discoveryPrefix}/light/neewer_${topicId(mac)}/config`;
+    }
+
+    /**
+     * Connect to the broker. mqtt.js reconnects on its own; every (re)connect republishes
+     * discovery and state, so a broker restart without persistence loses nothing.
+     */
+    async start() {
+        const { connect } = await import('mqtt'); // loaded on first use, like noble
+        const { url, username, password, clientId, reconnectPeriodMs } = this.options;
+
+        this.client = connect(url, {
+            username,
+            password,
+            clientId: clientId || `neewer-${Math.random().toString(16).slice(2, 10)}`,
+            clean: true,
+            reconnectPeriod: reconnectPeriodMs,
+            will: { topic: this.bridgeTopic, payload: 'offline', retain: true, qos: 1 }
+        });
+
+        this.client.on('connect', () => this.handleConnect());
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+        this.client.on('reconnect', () => console.log(`📡 MQTT reconnecting to ${url}...`));
+        this.client.on('offline', () => console.log('📡 MQTT broker offline'));
+        this.client.on('error', (error) => console.error(`❌ MQTT error: ${error.message}`));
+
+        this.lightManager.on('delta', this.onDelta);
+        console.log(`📡 MQTT bridge connecting to ${url} (topics under ${this.options.baseTopic}/)`);
+    }
+
+    handleConnect() {
+        const { baseTopic, discovery, discoveryPrefix } = this.options;
+        console.log(`📡 MQTT connected to ${this.options.url}`);
+
+        const topics = [`${baseTopic}/+/set`];
+        if (discovery) topics.push(`${discoveryPrefix}/status`); // Home Assistant restarts
+        this.client.subscribe(topics, { qos: 1 }, (error) => {
+            if (error) console.error(`❌ MQTT subscribe failed: ${error.message}`);
+        });
+
+        this.publish(this.bridgeTopic, 'online');
+        this.publishAll();
+    }
+
+    /**
+     * Discovery, availability and state for every light
+     */
+    publishAll() {
+        for (const light of this.lightManager.getStatus().lights) {
+            if (this.options.discovery) this.publishDiscovery(light);
+            this.publishLight(light);
+        }
+    }
+
+    publish(topic, payload, retain = true) {
+        if (!this.client?.connected) return; // everything is republished on connect
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        this.client.publish(topic, message, { retain, qos: 1 });
+    }
+
+    /**
+     * State and availability of one light (a status entry from LightManager)
+     */
+    publishLight(light) {
+        this.publish(this.lightTopic(light.mac, 'availability'), light.connected ? 'online' : 'offline');
+        this.publish(this.lightTopic(light.mac, 'state'), this.toHomeAssistant(light));
+    }
+
+    /**
+     * Light status to the Home Assistant JSON schema (brightness 0-100, Kelvin)
+     */
+    toHomeAssistant(light) {
+        const state = {
+            state: light.isOn ? 'ON' : 'OFF',
+            brightness: light.brightness,
+            color_mode: light.mode === 'hsi' ? 'hs' : 'color_temp',
+            color_temp: light.temperature,
+            effect: light.effect ?? (light.mode === 'scene' ? light.sceneName : null)
+        };
+        if (light.capabilities.supportsRGB) state.color = { h: light.hue, s: light.saturation };
+        return state;
+    }
+
+    /**
+     * Home Assistant discovery config: a dimmable color-temperature light, plus hs color
+     * for RGB models. Effects are the software effects and, if supported, the built-in scenes.
+     */
+    publishDiscovery(light) {
+        const id = topicId(light.mac);
+        const { capabilities, limits } = light;
+        const effects = Object.keys(EFFECTS);
+        if (capabilities.supportsScenes) effects.push(...Object.keys(SCENES));
+
+        this.publish(this.discoveryTopic(light.mac), {
+            name: null, // the entity is the device
+            unique_id: `neewer_${id}`,
+            object_id: `neewer_${id}`,
+            device: {
+                identifiers: [`neewer_${id}`],
+                connections: [['mac', light.mac]],
+                name: light.name,
+                manufacturer: 'Neewer',
+                model: capabilities.model
+            },
+            schema: 'json',
+            state_topic: this.lightTopic(light.mac, 'state'),
+            command_topic: this.lightTopic(light.mac, 'set'),
+            availability: [
+                { topic: this.bridgeTopic },
+                { topic: this.lightTopic(light.mac, 'availability') }
+            ],
+            availability_mode: 'all',
+            brightness: true,
+            brightness_scale: 100,
+            supported_color_modes: capabilities.supportsRGB ? ['color_temp', 'hs'] : ['color_temp'],
+            color_temp_kelvin: true,
+            min_kelvin: limits.cctRange.min,
+            max_kelvin: limits.cctRange.max,
+            effect: true,
+            effect_list: effects
+        });
+        this.announced.add(light.mac);
+    }
+
+    /**
+     * Remove a light from Home Assistant and clear its retained topics
+     */
+    unpublishLight(mac) {
+        if (this.announced.delete(mac)) this.publish(this.discoveryTopic(mac), '');
+        this.publish(this.lightTopic(mac, 'state'), '');
+        this.publish(this.lightTopic(mac, 'availability'), '');
+    }
+
+    handleDelta(delta) {
+        if (delta.event === 'lightRemoved') {
+            this.unpublishLight(delta.mac);
+            return;
+        }
+        if (!delta.mac) return; // groupsChanged
+
+        const light = this.lightManager.getLightStatus(delta.mac);
+        // Name, model or limits changed: Home Assistant needs a new config
+        const reannounce = delta.event === 'lightAdded'
+            || ['name', 'capabilities', 'limits'].some(key => delta.changes && key in delta.changes);
+        if (this.options.discovery && reannounce) this.publishDiscovery(light);
+        this.publishLight(light);
+    }
+
+    handleMessage(topic, payload) {
+        const text = payload.toString();
+        if (topic === `${this.options.discoveryPrefix}/status`) {
+            if (text === 'online') {
+                console.log('📡 Home Assistant came online, republishing discovery');
+                this.publishAll();
+            }
+            return;
+        }
+
+        const parts = topic.split('/');
+        const id = parts[parts.length - 2];
+        const light = this.lightManager.getStatus().lights.find(l => topicId(l.mac) === id);
+        if (!light) {
+            console.log(`⚠ MQTT command for unknown light ${id}`);
+            return;
+        }
+
+        let command;
+        try {
+            command = JSON.parse(text);
+        } catch {
+            // Plain ON / OFF payloads are common in hand-written automations
+            command = { state: text.trim() };
+        }
+        this.runCommand(light, command).catch((error) => {
+            console.log(`⚠ MQTT command for ${light.name} failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Turn a Home Assistant JSON command into a LightManager call. Values missing from the
+     * command keep the light's current ones (e.g. brightness only keeps the color).
+     */
+    async runCommand(light, command) {
+        console.log(`\n📨 MQTT command for ${light.name}: ${JSON.stringify(command)}`);
+        const { mac } = light;
+        const state = command.state === undefined ? undefined : String(command.state).toUpperCase(); // "on" works too
+        const brightness = command.brightness ?? (light.isOn && light.brightness > 0 ? light.brightness : 100);
+        const durationMs = command.transition !== undefined ? Math.round(Number(command.transition) * 1000) : undefined;
+
+        let message;
+        if (state === 'OFF') {
+            message = { action: 'power', mac, state: 'off' };
+        } else if (command.effect !== undefined) {
+            message = EFFECTS[command.effect]
+                ? { action: 'startEffect', mac, effect: command.effect, intensity: command.brightness }
+                : { action: 'setScene', mac, scene: command.effect, brightness };
+        } else if (command.color !== undefined) {
+            message = { action: 'setHSI', mac, hue: command.color.h, saturation: command.color.s, brightness, durationMs };
+        } else if (command.color_temp !== undefined) {
+            message = { action: 'setCCT', mac, brightness, temperature: command.color_temp, durationMs };
+        } else if (command.brightness !== undefined) {
+            // Keep the current mode
+            if (light.mode === 'hsi') {
+                message = { action: 'setHSI', mac, hue: light.hue, saturation: light.saturation, brightness, durationMs };
+            } else if (light.mode === 'scene' && light.scene) {
+                message = { action: 'setScene', mac, scene: light.scene, brightness };
+            } else {
+                // A light that never reported has no temperature yet
+                const { min, max } = light.limits.cctRange;
+                const temperature = light.temperature || Math.max(min, Math.min(max, CCT_DEFAULT));
+                message = { action: 'setCCT', mac, brightness, temperature, durationMs };
+            }
+        } else if (state === 'ON') {
+            message = { action: 'power', mac, state: 'on' };
+        } else {
+            throw new Error(`nothing to do in ${JSON.stringify(command)}`);
+        }
+
+        // Same checks as the WebSocket API (drop the fields the command didn't set)
+        message = Object.fromEntries(Object.entries(message).filter(([, value]) => value !== undefined));
+        validateMessage(message);
+
+        switch (message.action) {
+            case 'power':
+                return this.lightManager.setPower(mac, message.state);
+            case 'startEffect':
+                return this.lightManager.startEffect(mac, message.effect, { intensity: message.intensity });
+            case 'setScene':
+                return this.lightManager.setScene(mac, message.scene, message.brightness);
+            case 'setHSI':
+                return this.lightManager.setHSI(mac, message.hue, message.saturation, message.brightness, { durationMs: message.durationMs });
+            case 'setCCT':
+                return this.lightManager.setCCT(mac, message.brightness, message.temperature, { durationMs: message.durationMs });
+        }
+    }
+
+    /**
+     * Mark the bridge offline and disconnect
+     */
+    async stop() {
+        this.lightManager.removeListener('delta', this.onDelta);
+        if (!this.client) return;
+        console.log('\n🛑 Stopping MQTT bridge...');
+        if (this.client.connected) {
+            await this.client.publishAsync(this.bridgeTopic, 'offline', { retain: true, qos: 1 }).catch(() => {});
+        }
+        await this.client.endAsync();
+    }
+}
@@ -1,14 +1,26 @@
 // NeewerLight class - represents a single Neewer light
 import { EventEmitter } from 'events';
 import { GATT_CHARACTERISTIC_UUID, LIGHT_TYPES } from './constants.js';
+import { NotificationDecoder } from './NotificationDecoder.js';
+import { CommandBuilder } from './CommandBuilder.js';
+import { findModelByName, capabilitiesFor } from './lightModels.js';
+import { resolveLimits, fromDevice } from './lightLimits.js';
+import { CommandError, ERROR_CODES } from './errors.js';
+import { CommandQueue } from './CommandQueue.js';
+
+const WRITE_TIMEOUT_MS = 3000;
 
 export class NeewerLight extends EventEmitter {
-    constructor(peripheral) {
+    /**
+     * @param {Object} peripheral - Transport peripheral (noble or simulated)
+     * @param {Object} options
+     * @param {number} options.commandIntervalMs - Minimum gap between writes (default 40ms)
+     */
+    constructor(peripheral, options = {}) {
         super();
         this.peripheral = peripheral;
         this.peripheral.setMaxListeners(20); // Prevent memory leak warning
         this.id = peripheral.id;
-        this.id = peripheral.id;
         this.address = peripheral.address;
         this.name = peripheral.advertisement.localName || 'Unknown Neewer Light';
         this.rssi = peripheral.rssi;
@@ -16,16 +28,20 @@ export class NeewerLight extends EventEmitter {
         this.characteristic = null;
         this.notifyCharacteristic = null; // Store for polling
 
+        // Writes go through a queue so slider drags don't pile up on the characteristic
+        this.queue = new CommandQueue((bytes) => this.writeNow(bytes), {
+            minIntervalMs: options.commandIntervalMs ?? 40
+        });
+
         // Busy flag so polling/pings don't collide with connect/discover
         this.isBusy = false;
 
-        // Light capabilities (will be determined on connection)
-        this.capabilities = {
-            supportsCCT: true,
-            supportsRGB: false,
-            supportsScenes: false,
-            cctRange: { min: 3200, max: 5600 }
-        };
+        // Per-light limits and calibration from config (see lightLimits.js; set by LightManager)
+        this.limitConfig = {};
+
+        // Model, capabilities and command protocol ('legacy' or 'infinity'),
+        // looked up from the advertised name (LightManager may override from config)
+        this.applyModel(findModelByName(peripheral.advertisement.localName));
 
         // Current state
         this.state = {
@@ -37,6 +53,37 @@ export class NeewerLight extends EventEmitter {
             saturation: 100,
             scene: null
         };
+
+        // Last state the light itself reported in a notification (null until it reports;
+        // cleared on disconnect). LightManager compares it with the desired state.
+        this.reported = null;
+
+        // Notification frame counters
+        this.frameStats = {
+            decoded: 0,
+            unknown: 0,
+            badChecksum: 0,
+            malformed: 0
+        };
+    }
+
+    /**
+     * Set model, capabilities and protocol from a lightModels.js entry
+     */
+    applyModel(model) {
+        this.model = model;
+        this.capabilities = capabilitiesFor(model);
+        this.protocol = model.protocol || CommandBuilder.detectProtocol(this.peripheral.advertisement.localName);
+        this.limits = resolveLimits(model, this.limitConfig);
+    }
+
+    /**
+     * Set limits and calibration (fixedTemp, minTemp, maxTemp, minBrightness, maxBrightness,
+     * brightnessCurve, cctOffset) from the light's config
+     */
+    setLimits(config = {}) {
+        this.limitConfig = config;
+        this.limits = resolveLimits(this.model, config);
     }
 
     /**
@@ -100,8 +147,8 @@ export class NeewerLight extends EventEmitter {
                 if (this.notifyCharacteristic) {
                     try {
                         await this.notifyCharacteristic.subscribeAsync();
+                        this.notifyCharacteristic.removeAllListeners('data'); // don't stack handlers across reconnects
                         this.notifyCharacteristic.on('data', (data) => {
-                            if (data.length < 5) return;
                             this.parseNotification(data);
                         });
                     } catch (_) {
@@ -143,6 +190,8 @@ export class NeewerLight extends EventEmitter {
             if (this.connected) {
                 console.log(`⚠ ${this.name} connection dead during poll: ${error.message}`);
                 this.connected = false;
+                this.reported = null;
+                this.queue.clear(new Error('Light is not connected'));
                 this.emit('disconnected'); // ensure LightManager schedules reconnect
             }
             throw error;
@@ -151,24 +200,40 @@ export class NeewerLight extends EventEmitter {
 
     /**
      * Parse notification data from light (when values change)
+     * Emits 'stateChanged' for decoded frames, 'unknownFrame' and 'badFrame' otherwise.
      */
     parseNotification(data) {
-        if (data.length < 5) return;
+        const frame = NotificationDecoder.decode(data);
+
+        if (!frame.valid) {
+            if (frame.reason === 'checksum') this.frameStats.badChecksum++;
+            else this.frameStats.malformed++;
+            console.log(`⚠ ${this.name} bad frame (${frame.reason}): ${frame.raw}`);
+            this.emit('badFrame', frame);
+            return;
+        }
 
-        // Neewer CCT: [0x78, 0x87, 0x02, brightness, tempByte, checksum]
-        if (data[0] === 0x78 && data[1] === 0x87) {
-            const brightness = data[3];
-            const tempByte = data[4];
-            const temperature = Math.round((tempByte - 32) / 53 * 6300 + 3200);
+        const decoded = NotificationDecoder.toState(frame);
+        if (!decoded) {
+            this.frameStats.unknown++;
+            this.emit('unknownFrame', frame);
+            return;
+        }
+        // The light reports calibrated output; state is kept in logical values
+        const update = fromDevice(this.limits, decoded, {
+            current: this.state,
+            cctStep: CommandBuilder.temperatureStep(this.protocol)
+        });
 
-            const changed = (this.state.brightness !== brightness || this.state.cct !== temperature);
-            this.state.brightness = brightness;
-            this.state.cct = temperature;
+        this.frameStats.decoded++;
+        const changed = Object.keys(update).some(key => this.state[key] !== update[key]);
+        Object.assign(this.state, update);
+        // A light reporting its output is on
+        this.reported = { ...this.reported, ...(frame.type !== 'power' ? { isOn: true } : {}), ...update };
 
-            if (changed) {
-                console.log(`📢 ${this.name} state changed: ${brightness}% @ ${temperature}K`);
-                this.emit('stateChanged', { brightness, temperature });
-            }
+        if (changed) {
+            console.log(`📢 ${this.name} state changed (${frame.type}): ${JSON.stringify(update)}`);
+            this.emit('stateChanged', update);
         }
     }
 
@@ -182,6 +247,8 @@ export class NeewerLight extends EventEmitter {
             await this.peripheral.disconnectAsync();
             this.connected = false;
             this.characteristic = null;
+            this.reported = null;
+            this.queue.clear(new Error('Light is not connected'));
             console.log(`Disconnected from ${this.name}`);
         } catch (error) {
             console.error(`Failed to disconnect from ${this.name}: ${error.message}`);
@@ -189,18 +256,42 @@ export class NeewerLight extends EventEmitter {
     }
 
     /**
-     * Send a command to the light
+     * Send a command to the light through the write queue.
+     * A still-queued command of the same kind is dropped (latest wins).
+     * @param {Buffer|number[]} commandBytes
+     * @param {string} kind - Coalescing key; defaults to the frame type ('cct', 'hsi', 'scene', 'power')
+     */
+    async sendCommand(commandBytes, kind) {
+        if (!this.connected || !this.characteristic) {
+            throw new CommandError(ERROR_CODES.NOT_CONNECTED, 'Light is not connected');
+        }
+        const buffer = Buffer.from(commandBytes);
+        if (kind === undefined) {
+            const frame = NotificationDecoder.decode(buffer);
+            kind = frame.valid && frame.type !== 'unknown' ? frame.type : null;
+        }
+        return this.queue.enqueue(buffer, kind);
+    }
+
+    /**
+     * Write bytes to the characteristic immediately (used by the queue)
      */
-    async sendCommand(commandBytes) {
+    async writeNow(buffer) {
         if (!this.connected || !this.characteristic) {
-            throw new Error('Light is not connected');
+            throw new CommandError(ERROR_CODES.NOT_CONNECTED, 'Light is not connected');
         }
+        // A write the light never acknowledges would otherwise hold up the whole queue
+        let timer = null;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new CommandError(ERROR_CODES.TIMEOUT, `Write to ${this.name} timed out after ${WRITE_TIMEOUT_MS}ms`)), WRITE_TIMEOUT_MS);
+        });
         try {
-            const buffer = Buffer.from(commandBytes);
-            await this.characteristic.writeAsync(buffer, false);
+            await Promise.race([this.characteristic.writeAsync(buffer, false), timeout]);
         } catch (error) {
             console.error(`Failed to send command to ${this.name}: ${error.message}`);
             throw error;
+        } finally {
+            clearTimeout(timer);
         }
     }
 
@@ -215,8 +306,13 @@ export class NeewerLight extends EventEmitter {
             name: this.name,
             rssi: this.rssi,
             connected: this.connected,
+            protocol: this.protocol,
             capabilities: this.capabilities,
-            state: this.state
+            limits: this.limits,
+            state: this.state,
+            reported: this.reported,
+            frameStats: this.frameStats,
+            queue: this.queue.stats()
         };
     }
 }
@@ -0,0 +1,126 @@
+// Notification Decoder - Parses and validates frames sent to / received from Neewer lights
+
+import { CommandBuilder } from './CommandBuilder.js';
+import {
+    COMMAND_PREFIX, MODE_CCT, MODE_HSI, MODE_SCENE, MODE_POWER, PROTOCOLS, INFINITY_COMMANDS
+} from './constants.js';
+
+export class NotificationDecoder {
+    /**
+     * Decode a single frame.
+     *
+     * Frames are laid out as [0x78, tag, length, ...payload(length), checksum].
+     * Infinity frames carry [...mac(6), subtag, ...params] as payload and decode
+     * to the same types with `protocol: 'infinity'` and the target `mac` added.
+     * The result always has `type`, `valid` and `raw` (hex string):
+     *   - { type: 'cct', brightness, cct }
+     *   - { type: 'hsi', hue, saturation, brightness }
+     *   - { type: 'scene', scene, brightness }
+     *   - { type: 'power', isOn }
+     *   - { type: 'unknown', tag }             valid frame we don't understand
+     *   - { type: 'invalid', reason }          'malformed' or 'checksum'
+     * @param {Buffer|number[]} data
+     * @returns {Object}
+     */
+    static decode(data) {
+        const bytes = Buffer.from(data);
+        const raw = bytes.toString('hex');
+
+        if (bytes.length < 4 || bytes[0] !== COMMAND_PREFIX) {
+            return { type: 'invalid', valid: false, reason: 'malformed', raw };
+        }
+
+        const tag = bytes[1];
+        const length = bytes[2];
+        if (bytes.length !== length + 4) {
+            return { type: 'invalid', valid: false, reason: 'malformed', raw };
+        }
+
+        const checksum = bytes[bytes.length - 1];
+        const expected = CommandBuilder.calculateChecksum(bytes.subarray(0, bytes.length - 1));
+        if (checksum !== expected) {
+            return { type: 'invalid', valid: false, reason: 'checksum', expected, checksum, raw };
+        }
+
+        const payload = bytes.subarray(3, 3 + length);
+
+        // Unwrap infinity frames to the legacy mode + params
+        const infinityMode = Object.keys(INFINITY_COMMANDS).find(mode =>
+            INFINITY_COMMANDS[mode].tag === tag && INFINITY_COMMANDS[mode].subtag === payload[6]
+        );
+        if (infinityMode !== undefined && length >= 7) {
+            const mac = Array.from(payload.subarray(0, 6), b => b.toString(16).padStart(2, '0')).join(':');
+            const frame = this.decodeParams(Number(infinityMode), payload.subarray(7), PROTOCOLS.INFINITY);
+            if (frame) return { ...frame, valid: true, protocol: PROTOCOLS.INFINITY, mac, raw };
+            return { type: 'unknown', valid: true, tag, protocol: PROTOCOLS.INFINITY, mac, raw };
+        }
+
+        const frame = this.decodeParams(tag, payload, PROTOCOLS.LEGACY);
+        if (frame) return { ...frame, valid: true, protocol: PROTOCOLS.LEGACY, raw };
+
+        return { type: 'unknown', valid: true, tag, raw };
+    }
+
+    /**
+     * Decode the params of a known mode (null if the layout doesn't match)
+     * @param {number} mode - MODE_CCT, MODE_HSI, MODE_SCENE or MODE_POWER
+     * @param {Buffer} params
+     * @param {string} protocol
+     * @returns {Object|null}
+     */
+    static decodeParams(mode, params, protocol) {
+        const infinity = protocol === PROTOCOLS.INFINITY;
+
+        // Legacy:   [brightness, tempByte]
+        // Infinity: [brightness, kelvin/100, gm, 0x04]
+        if (mode === MODE_CCT && params.length === (infinity ? 4 : 2)) {
+            return {
+                type: 'cct',
+                brightness: params[0],
+                cct: infinity ? params[1] * 100 : CommandBuilder.byteToTemperature(params[1])
+            };
+        }
+
+        // [hueLow, hueHigh, saturation, brightness]
+        if (mode === MODE_HSI && params.length === 4) {
+            return {
+                type: 'hsi',
+                hue: params[0] | (params[1] << 8),
+                saturation: params[2],
+                brightness: params[3]
+            };
+        }
+
+        // [brightness, sceneId]
+        if (mode === MODE_SCENE && params.length === 2) {
+            return { type: 'scene', brightness: params[0], scene: params[1] };
+        }
+
+        // [0x01 (on) | 0x02 (off)]
+        if (mode === MODE_POWER && params.length === 1 && (params[0] === 0x01 || params[0] === 0x02)) {
+            return { type: 'power', isOn: params[0] === 0x01 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a decoded frame into a partial light.state update (null if none)
+     * @param {Object} frame - Result of decode()
+     * @returns {Object|null}
+     */
+    static toState(frame) {
+        switch (frame.type) {
+            case 'cct':
+                return { mode: 'cct', brightness: frame.brightness, cct: frame.cct };
+            case 'hsi':
+                return { mode: 'hsi', hue: frame.hue, saturation: frame.saturation, brightness: frame.brightness };
+            case 'scene':
+                return { mode: 'scene', scene: frame.scene, brightness: frame.brightness };
+            case 'power':
+                return { isOn: frame.isOn };
+            default:
+                return null;
+        }
+    }
+}
@@ -0,0 +1,98 @@
+// PresetStore - Named multi-light looks, saved to a JSON file
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CommandError, ERROR_CODES } from './errors.js';
+
+// Default presets file (next to config.json in the project root)
+export const DEFAULT_PRESETS_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'presets.json');
+
+// Light state fields a preset keeps (see NeewerLight.state)
+export const PRESET_STATE_KEYS = ['isOn', 'mode', 'brightness', 'cct', 'hue', 'saturation', 'scene'];
+
+// Names are stored trimmed, so look them up the same way
+const normalizeName = (name) => (typeof name === 'string' ? name.trim() : name);
+
+export class PresetStore {
+    /**
+     * @param {string|null} filePath - JSON file; null keeps presets in memory only
+     */
+    constructor(filePath = null) {
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.presets = new Map(); // name -> { name, savedAt, lights: { mac: state } }
+    }
+
+    /**
+     * Read presets from disk (a missing file is an empty preset list)
+     * @throws {Error} If the file exists but isn't a valid presets file
+     */
+    load() {
+        this.presets.clear();
+        if (!this.filePath || !fs.existsSync(this.filePath)) return this.list();
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read presets from ${this.filePath}: ${error.message}`);
+        }
+        if (!raw || !Array.isArray(raw.presets)) {
+            throw new Error(`Invalid presets file ${this.filePath}: expected { "presets": [...] }`);
+        }
+        for (const preset of raw.presets) {
+            if (typeof preset?.name !== 'string' || !preset.lights || typeof preset.lights !== 'object') {
+                throw new Error(`Invalid preset in ${this.filePath}: ${JSON.stringify(preset)?.slice(0, 80)}`);
+            }
+            this.presets.set(preset.name, preset);
+        }
+        console.log(`🎞️  Loaded ${this.presets.size} presets from ${this.filePath}`);
+        return this.list();
+    }
+
+    /**
+     * Summaries of all presets: [{ name, savedAt, lights: [mac, ...] }]
+     */
+    list() {
+        return [...this.presets.values()].map(preset => ({
+            name: preset.name,
+            savedAt: preset.savedAt,
+            lights: Object.keys(preset.lights)
+        }));
+    }
+
+    get(name) {
+        const preset = this.presets.get(normalizeName(name));
+        if (!preset) throw new CommandError(ERROR_CODES.NOT_FOUND, `Preset ${name} not found`);
+        return preset;
+    }
+
+    /**
+     * Save (or overwrite) a preset
+     * @param {string} name
+     * @param {Object} lights - { mac: { isOn, mode, brightness, cct, hue, saturation, scene } }
+     */
+    save(name, lights) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Preset name must be a non-empty string');
+        }
+        const preset = { name: normalizeName(name), savedAt: new Date().toISOString(), lights };
+        this.presets.set(preset.name, preset);
+        this.write();
+        return preset;
+    }
+
+    delete(name) {
+        if (!this.presets.delete(normalizeName(name))) throw new CommandError(ERROR_CODES.NOT_FOUND, `Preset ${name} not found`);
+        this.write();
+    }
+
+    write() {
+        if (!this.filePath) return;
+
+        // Temp file + rename so a crash mid-write doesn't lose every preset
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, `${JSON.stringify({ presets: [...this.presets.values()] }, null, 4)}\n`);
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
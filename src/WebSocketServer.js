@@ -1,73 +1,393 @@
 // WebSocket Server - Accepts JSON commands and broadcasts status
 
 import { WebSocketServer as WSServer } from 'ws';
+import { validateLight } from './ConfigStore.js';
+import { LIMIT_KEYS } from './lightLimits.js';
+import { CommandError, ERROR_CODES, errorCode } from './errors.js';
+import { ACTIONS, PROTOCOL_VERSION, protocolSchema, validateMessage } from './protocol.js';
+import { Authenticator, credentialsFromRequest, hasRole } from './auth.js';
+
+// Clients that haven't authenticated by then are dropped (only when auth is on)
+const AUTH_TIMEOUT_MS = 10000;
+const CLOSE_UNAUTHORIZED = 4401;
+
+// Fields never written to the log (the auth action's credentials)
+const SECRET_FIELDS = ['token', 'password'];
+const redact = (message) => JSON.stringify(message, (key, value) => (SECRET_FIELDS.includes(key) ? '***' : value));
 
 export class WebSocketServer {
-    constructor(lightManager, port = 8080) {
+    /**
+     * @param {LightManager} lightManager
+     * @param {number} port
+     * @param {Object} options
+     * @param {string} options.host - Address to listen on (default all interfaces)
+     * @param {string[]} options.allowedOrigins - Browser origins allowed to connect (default any)
+     * @param {Object} options.auth - { users: [{ name, role, token?, password? }] } (default no auth)
+     */
+    constructor(lightManager, port = 8080, options = {}) {
         this.lightManager = lightManager;
         this.port = port;
+        this.host = options.host || null;
         this.wss = null;
         this.clients = new Set();
+        this.authenticator = new Authenticator();
+        this.configureAccess(options);
+    }
+
+    /**
+     * Apply allowedOrigins and auth users (also on config reload). Connected clients
+     * follow their user's new role; clients whose user is gone are disconnected.
+     */
+    configureAccess({ allowedOrigins = [], auth = null } = {}) {
+        this.allowedOrigins = allowedOrigins;
+        this.authenticator.setUsers(auth?.users ?? []);
+
+        for (const client of this.clients) {
+            if (!this.authenticator.enabled) {
+                client.role = 'admin';
+                continue;
+            }
+            const role = client.user ? this.authenticator.roleOf(client.user.name) : null;
+            if (!role) {
+                if (client.role) client.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+                continue;
+            }
+            client.role = role;
+            client.user.role = role;
+        }
+    }
+
+    /**
+     * Browser origins: the allowlist if there is one. Without it, with auth on any origin may
+     * connect (it still has to authenticate); with auth off only pages served from this
+     * host may, so a web page the operator visits can't drive the lights (as in HttpServer).
+     */
+    originAllowed(origin, req) {
+        if (this.allowedOrigins.length > 0) return this.allowedOrigins.includes(origin);
+        if (this.authenticator.enabled) return true;
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch {
+            return false; // "null" (file://, sandboxed frames)
+        }
+    }
+
+    /**
+     * Handshake check: origin allowlist, and credentials sent with the upgrade request
+     * (a bad token is refused here; no credentials means the client must send auth)
+     */
+    verifyClient(info, done) {
+        if (info.origin && !this.originAllowed(info.origin, info.req)) {
+            console.log(`⛔ Refused WebSocket connection from origin ${info.origin}`);
+            done(false, 403, 'Origin not allowed');
+            return;
+        }
+        const credentials = credentialsFromRequest(info.req);
+        if (credentials && this.authenticator.enabled) {
+            const user = this.authenticator.authenticate(credentials);
+            if (!user) {
+                console.log(`⛔ Refused WebSocket connection with invalid credentials`);
+                done(false, 401, 'Invalid credentials');
+                return;
+            }
+            info.req.user = user;
+        }
+        done(true);
     }
 
     /**
      * Start the WebSocket server
      */
     start() {
-        this.wss = new WSServer({ port: this.port });
+        this.wss = new WSServer({
+            port: this.port,
+            host: this.host ?? undefined,
+            verifyClient: (info, done) => this.verifyClient(info, done)
+        });
 
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
             console.log(`\n🔌 WebSocket client connected (Total: ${this.wss.clients.size})`);
+            ws.statusMode = 'deltas'; // or 'full' (see the subscribe action)
+            ws.scanSessions = new Map(); // id -> ScanSession started by this client
+            ws.user = req.user || null;  // { name, role } once authenticated
+            ws.role = this.authenticator.enabled ? (ws.user?.role ?? null) : 'admin';
             this.clients.add(ws);
 
-            // Send current status immediately on connection
-            const status = this.lightManager.getStatus();
-            ws.send(JSON.stringify(status));
-            console.log(`📤 Sent initial status to new client`);
+            // Say what we speak, then send current status immediately on connection
+            ws.send(JSON.stringify(this.helloMessage(ws)));
+            if (ws.role) {
+                if (ws.user) console.log(`🔑 ${ws.user.name} connected (${ws.role})`);
+                ws.send(JSON.stringify(this.lightManager.getStatus()));
+                console.log(`📤 Sent initial status to new client`);
+            } else {
+                ws.authTimer = setTimeout(() => ws.close(CLOSE_UNAUTHORIZED, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+            }
 
             // Handle incoming messages
             ws.on('message', async (data) => {
+                let message;
                 try {
-                    const message = JSON.parse(data.toString());
-                    await this.handleCommand(message, ws);
+                    message = JSON.parse(data.toString());
                 } catch (error) {
-                    this.sendError(ws, error.message);
+                    this.sendError(ws, new CommandError(ERROR_CODES.INVALID_PARAM, `Invalid JSON: ${error.message}`));
+                    return;
+                }
+                try {
+                    const result = await this.handleCommand(message, ws);
+                    if (message.id !== undefined) this.sendAck(ws, message, result);
+                } catch (error) {
+                    this.sendError(ws, error, message);
+                    // Clients that never authenticated get one try
+                    if (!ws.role && errorCode(error) === ERROR_CODES.UNAUTHORIZED) ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
                 }
             });
 
             ws.on('close', () => {
                 console.log(`\n🔌 WebSocket client disconnected (Total: ${this.wss.clients.size - 1})`);
+                clearTimeout(ws.authTimer);
                 this.clients.delete(ws);
+                this.stopScanSessions(ws);
             });
 
             ws.on('error', (error) => {
                 console.error('WebSocket error:', error.message);
+                clearTimeout(ws.authTimer);
                 this.clients.delete(ws);
+                this.stopScanSessions(ws);
             });
         });
 
-        // Listen for status updates from LightManager
+        // Listen for status updates from LightManager: per-light deltas by default,
+        // the full status for clients that subscribed to it
+        this.lightManager.on('delta', (delta) => {
+            this.broadcast(delta, client => client.statusMode === 'deltas');
+        });
         this.lightManager.on('status', (status) => {
-            this.broadcast(status);
+            this.broadcast(status, client => client.statusMode === 'full');
         });
 
-        console.log(`\n🚀 WebSocket server running on ws://localhost:${this.port}`);
+        // Forward notification frames the decoder rejected or didn't recognize
+        this.lightManager.on('frameError', (frame) => {
+            this.broadcast({ event: 'frameError', ...frame });
+        });
+        this.lightManager.on('unknownFrame', (frame) => {
+            this.broadcast({ event: 'unknownFrame', ...frame });
+        });
+
+        // Discovery: unmanaged lights as they are found, and scan start/finish
+        this.lightManager.on('deviceDiscovered', (device) => {
+            this.broadcast({ event: 'deviceDiscovered', device });
+        });
+        this.lightManager.on('discovery', (info) => {
+            this.broadcast({ event: 'discovery', ...info });
+        });
+
+        // Keep every client's preset list current
+        this.lightManager.on('presetsChanged', (presets) => {
+            this.broadcast({ event: 'presets', presets });
+        });
+
+        console.log(`\n🚀 WebSocket server running on ws://${this.host || 'localhost'}:${this.port}`);
+        if (this.authenticator.enabled) {
+            console.log(`🔒 Auth on: ${this.authenticator.users.length} user(s)`);
+        } else {
+            console.log('🔓 Auth off: every client has full control (add users under auth in the config)');
+        }
     }
 
     /**
      * Handle incoming command
+     * @returns {Object[]|Object|undefined} Per-light results for light commands (see LightManager.sendToLights)
      */
     async handleCommand(message, ws) {
-        console.log('\n📨 Received command:', JSON.stringify(message));
+        console.log('\n📨 Received command:', redact(message));
+
+        // Types and ranges come from the schema (protocol.js); past this point fields are valid
+        validateMessage(message);
+
+        const required = ACTIONS[message.action].role;
+        if (!hasRole(ws.role, required)) {
+            if (!ws.role) throw new CommandError(ERROR_CODES.UNAUTHORIZED, `${message.action} needs authentication (send auth first)`);
+            throw new CommandError(ERROR_CODES.FORBIDDEN, `${message.action} needs the ${required} role (you are ${ws.role})`);
+        }
 
-        const { action, mac, brightness, temperature } = message;
+        const {
+            action, mac, brightness, temperature, hue, saturation, scene, state, durationMs, easing,
+            effect, speed, intensity, name, group, macs, seq, mode, all, minRssi, reportIntervalMs, session, protocolVersion,
+            token, user, password
+        } = message;
+
+        // Light commands target a group, one light, or all lights
+        const target = group !== undefined ? { group } : (mac || null);
 
         switch (action) {
+            case 'hello':
+                if (protocolVersion !== undefined && protocolVersion !== PROTOCOL_VERSION) {
+                    throw new CommandError(ERROR_CODES.UNSUPPORTED, `Protocol version ${protocolVersion} not supported (server speaks ${PROTOCOL_VERSION})`);
+                }
+                ws.send(JSON.stringify(this.helloMessage(ws)));
+                break;
+
+            case 'auth': {
+                if (!this.authenticator.enabled) {
+                    ws.send(JSON.stringify(this.helloMessage(ws)));
+                    break;
+                }
+                const authenticated = this.authenticator.authenticate(token !== undefined ? { token } : { user, password });
+                if (!authenticated) {
+                    console.log(`⛔ Failed auth${user ? ` for ${user}` : ''}`);
+                    throw new CommandError(ERROR_CODES.UNAUTHORIZED, 'Invalid credentials');
+                }
+                const first = !ws.role;
+                clearTimeout(ws.authTimer);
+                ws.user = authenticated;
+                ws.role = authenticated.role;
+                console.log(`🔑 ${authenticated.name} authenticated (${authenticated.role})`);
+                ws.send(JSON.stringify(this.helloMessage(ws)));
+                if (first) ws.send(JSON.stringify(this.lightManager.getStatus()));
+                break;
+            }
+
+            case 'getSchema':
+                ws.send(JSON.stringify({ event: 'schema', schema: protocolSchema() }));
+                break;
+
             case 'setCCT':
-                if (brightness === undefined || temperature === undefined) {
-                    throw new Error('setCCT requires brightness and temperature');
+                return this.lightManager.setCCT(target, brightness, temperature, { durationMs, easing });
+
+            case 'setHSI':
+                return this.lightManager.setHSI(target, hue, saturation, brightness, { durationMs, easing });
+
+            case 'setScene':
+                return this.lightManager.setScene(target, scene, brightness);
+
+            case 'power':
+                return this.lightManager.setPower(target, state);
+
+            case 'startEffect':
+                return this.lightManager.startEffect(target, effect, { speed, intensity, hue, saturation, temperature });
+
+            case 'stopEffect':
+                return this.lightManager.stopEffect(target);
+
+            case 'addLight': {
+                const fields = ['name', 'mac', 'model', 'protocol', 'simulatedName', ...LIMIT_KEYS];
+                const config = Object.fromEntries(fields.filter(key => message[key] !== undefined).map(key => [key, message[key]]));
+                try {
+                    this.lightManager.addLight(validateLight(config, 'addLight'));
+                } catch (error) {
+                    if (!error.problems) throw error;
+                    throw new CommandError(ERROR_CODES.INVALID_PARAM, `addLight: ${error.problems.join('; ')}`);
                 }
-                await this.lightManager.setCCT(mac || null, brightness, temperature);
+                break;
+            }
+
+            case 'startDiscovery':
+                // Runs in the background; results arrive as deviceDiscovered / discovery events
+                this.lightManager.startDiscovery(durationMs).catch(error => this.sendError(ws, error, message));
+                break;
+
+            case 'listDiscovered':
+                ws.send(JSON.stringify({ event: 'discovered', devices: this.lightManager.getDiscovered() }));
+                break;
+
+            case 'adopt': {
+                const fields = ['name', 'mac', 'model', 'protocol', ...LIMIT_KEYS];
+                const config = Object.fromEntries(fields.filter(key => message[key] !== undefined).map(key => [key, message[key]]));
+                try {
+                    this.lightManager.adoptDevice(validateLight(config, 'adopt'), group ?? null);
+                } catch (error) {
+                    if (!error.problems) throw error;
+                    throw new CommandError(ERROR_CODES.INVALID_PARAM, `adopt: ${error.problems.join('; ')}`);
+                }
+                break;
+            }
+
+            case 'dismiss':
+                this.lightManager.dismissDevice(mac);
+                break;
+
+            case 'startScan': {
+                // Live scan: reports go only to this client, until stopScan, durationMs or disconnect
+                const scan = await this.lightManager.startScanSession({ durationMs, all, minRssi, reportIntervalMs });
+                ws.scanSessions.set(scan.id, scan);
+                scan.on('advertisement', (device) => {
+                    if (ws.readyState === 1) ws.send(JSON.stringify({ event: 'scanReport', session: scan.id, device }));
+                });
+                scan.on('end', (devices) => {
+                    ws.scanSessions.delete(scan.id);
+                    if (ws.readyState === 1) ws.send(JSON.stringify({ event: 'scanSession', session: scan.id, state: 'finished', devices }));
+                });
+                ws.send(JSON.stringify({ event: 'scanSession', session: scan.id, state: 'started', ...scan.options }));
+                break;
+            }
+
+            case 'stopScan':
+                // One session, or all of this client's
+                if (session !== undefined) {
+                    if (!ws.scanSessions.has(session)) throw new CommandError(ERROR_CODES.NOT_FOUND, `Scan session ${session} not found`);
+                    ws.scanSessions.get(session).stop();
+                } else {
+                    this.stopScanSessions(ws);
+                }
+                break;
+
+            case 'removeLight':
+                await this.lightManager.removeLight(mac);
+                break;
+
+            case 'renameLight':
+                this.lightManager.renameLight(mac, name.trim());
+                break;
+
+            case 'reconnect':
+                this.lightManager.reconnectLight(mac);
+                break;
+
+            case 'setGroup':
+                this.lightManager.setGroup(group, macs);
+                break;
+
+            case 'deleteGroup':
+                this.lightManager.deleteGroup(group);
+                break;
+
+            case 'addToGroup':
+                this.lightManager.addToGroup(group, mac);
+                break;
+
+            case 'removeFromGroup':
+                this.lightManager.removeFromGroup(group, mac);
+                break;
+
+            case 'savePreset':
+                this.lightManager.savePreset(name, target);
+                break;
+
+            case 'recallPreset':
+                return this.lightManager.recallPreset(name, { durationMs, easing, target });
+
+            case 'listPresets':
+                ws.send(JSON.stringify({ event: 'presets', presets: this.lightManager.listPresets() }));
+                break;
+
+            case 'deletePreset':
+                this.lightManager.deletePreset(name);
+                break;
+
+            case 'resync': {
+                // Missed deltas if we still have them, otherwise a full snapshot
+                const deltas = this.lightManager.deltasSince(seq);
+                if (deltas) {
+                    ws.send(JSON.stringify({ event: 'resync', seq: this.lightManager.seq, deltas }));
+                } else {
+                    ws.send(JSON.stringify({ event: 'snapshot', ...this.lightManager.getStatus() }));
+                }
+                break;
+            }
+
+            case 'subscribe':
+                ws.statusMode = mode;
                 break;
 
             case 'getStatus':
@@ -76,16 +396,42 @@ export class WebSocketServer {
                 break;
 
             default:
-                throw new Error(`Unknown action: ${action}`);
+                throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown action: ${action}`);
         }
     }
 
     /**
-     * Broadcast message to all connected clients
+     * Sent on connect and in reply to hello/auth: protocol version, the actions this client
+     * may run, error codes, auth state, and what each light can do (once authenticated)
      */
-    broadcast(message) {
+    helloMessage(ws) {
+        return {
+            event: 'hello',
+            protocolVersion: PROTOCOL_VERSION,
+            actions: Object.keys(ACTIONS).filter(action => hasRole(ws.role, ACTIONS[action].role)),
+            errorCodes: Object.values(ERROR_CODES),
+            auth: { required: this.authenticator.enabled, user: ws.user?.name ?? null, role: ws.role },
+            lights: ws.role
+                ? this.lightManager.getStatus().lights.map(({ mac, name, capabilities, limits }) => ({ mac, name, capabilities, limits }))
+                : []
+        };
+    }
+
+    /**
+     * End the scan sessions a client started
+     */
+    stopScanSessions(ws) {
+        for (const scan of [...ws.scanSessions.values()]) scan.stop();
+    }
+
+    /**
+     * Broadcast message to all connected clients (optionally only those matching filter)
+     */
+    broadcast(message, filter = null) {
         const data = JSON.stringify(message);
         for (const client of this.clients) {
+            if (!client.role) continue; // not authenticated yet
+            if (filter && !filter(client)) continue;
             if (client.readyState === 1) { // OPEN
                 client.send(data);
             }
@@ -93,15 +439,38 @@ export class WebSocketServer {
     }
 
     /**
-     * Send error to specific client
+     * Acknowledge a command that carried an id. Light commands list per-light results
+     * ({ mac, success, error?, code? }); success is false if any light failed.
+     */
+    sendAck(ws, message, result) {
+        const results = result === undefined ? null : [].concat(result);
+        const ack = {
+            event: 'ack',
+            id: message.id,
+            action: message.action,
+            success: results ? results.every(r => r.success) : true,
+            timestamp: new Date().toISOString()
+        };
+        if (results) ack.results = results;
+        if (ws.readyState === 1) ws.send(JSON.stringify(ack));
+    }
+
+    /**
+     * Send error to specific client, with the command's id and a code from ERROR_CODES
+     * @param {Error} error
+     * @param {Object} message - The command that failed (if it parsed)
      */
-    sendError(ws, errorMessage) {
-        const error = {
+    sendError(ws, error, message = null) {
+        const reply = {
+            event: 'error',
             error: true,
-            message: errorMessage,
+            id: message?.id,
+            action: message?.action,
+            code: errorCode(error),
+            message: error.message,
             timestamp: new Date().toISOString()
         };
-        ws.send(JSON.stringify(error));
+        if (ws.readyState === 1) ws.send(JSON.stringify(reply));
     }
 
     /**
@@ -0,0 +1,89 @@
+// Auth - users from the config's auth section, and who may do what
+//
+// A user has a name, a role and a token and/or password. Clients authenticate when they
+// connect (?token=... in the URL, or an Authorization: Bearer / Basic header) or with an
+// auth action as their first message. Without users, auth is off and every client is admin.
+
+import crypto from 'crypto';
+
+// Lowest to highest; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Whether a role may run an action that needs `required` (null = anyone, even unauthenticated)
+ */
+export function hasRole(role, required) {
+    if (required === null) return true;
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Compare secrets in constant time (hashing first so lengths don't leak either)
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+const secretsMatch = (given, expected) => typeof given === 'string' && typeof expected === 'string'
+    && crypto.timingSafeEqual(digest(given), digest(expected));
+
+/**
+ * Credentials sent with the WebSocket upgrade request, if any
+ * @param {http.IncomingMessage} req
+ * @returns {{token: string}|{user: string, password: string}|null}
+ */
+export function credentialsFromRequest(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, value] = header.split(' ');
+    if (/^bearer$/i.test(scheme) && value) return { token: value };
+    if (/^basic$/i.test(scheme) && value) {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const colon = decoded.indexOf(':');
+        if (colon > 0) return { user: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+    }
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    return token ? { token } : null;
+}
+
+export class Authenticator {
+    /**
+     * @param {Object[]} users - [{ name, role, token?, password? }] (validated by ConfigStore)
+     */
+    constructor(users = []) {
+        this.setUsers(users);
+    }
+
+    setUsers(users = []) {
+        this.users = users.map(user => ({ ...user }));
+    }
+
+    get enabled() {
+        return this.users.length > 0;
+    }
+
+    /**
+     * The user matching a token, or a user name and password
+     * @param {Object} credentials - { token } or { user, password }
+     * @returns {Object|null} { name, role } or null if nothing matches
+     */
+    authenticate(credentials) {
+        if (!credentials) return null;
+        const { token, user: name, password } = credentials;
+        // Check every user so the time taken doesn't depend on which one matched
+        let match = null;
+        for (const user of this.users) {
+            let ok;
+            if (token !== undefined) {
+                ok = secretsMatch(token, user.token);
+            } else {
+                const passwordOk = secretsMatch(password, user.password);
+                ok = passwordOk && user.name === name;
+            }
+            if (ok && !match) match = user;
+        }
+        return match ? { name: match.name, role: match.role } : null;
+    }
+
+    /**
+     * A user's current role by name (null if the user no longer exists)
+     */
+    roleOf(name) {
+        return this.users.find(user => user.name === name)?.role ?? null;
+    }
+}
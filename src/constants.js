@@ -3,12 +3,36 @@
 // Bluetooth GATT Characteristic UUIDs
 export const GATT_CHARACTERISTIC_UUID = '69400002b5a3f393e0a9e50e24dcca99';
 export const GATT_SERVICE_UUID = '69400001b5a3f393e0a9e50e24dcca99';
+export const GATT_NOTIFY_CHARACTERISTIC_UUID = '69400003b5a3f393e0a9e50e24dcca99';
 
 // Command prefixes
 export const COMMAND_PREFIX = 0x78;
 export const MODE_HSI = 0x86;  // RGB/HSI mode
 export const MODE_CCT = 0x87;  // Color temperature mode
 export const MODE_SCENE = 0x88; // Animation/Scene mode
+export const MODE_POWER = 0x81; // Power on/off
+
+// Command protocols
+// - legacy:   [0x78, mode, length, ...params, checksum]
+// - infinity: [0x78, tag, length, ...mac(6), subtag, ...params, checksum] (newer MAC-addressed models)
+export const PROTOCOLS = {
+    LEGACY: 'legacy',
+    INFINITY: 'infinity'
+};
+
+// Infinity protocol tag/subtag per legacy mode
+export const INFINITY_COMMANDS = {
+    [MODE_POWER]: { tag: 0x8D, subtag: 0x81 },
+    [MODE_CCT]: { tag: 0x90, subtag: 0x87 },
+    [MODE_HSI]: { tag: 0x8F, subtag: 0x86 },
+    [MODE_SCENE]: { tag: 0x91, subtag: 0x8B }
+};
+
+// Advertised names of models that speak the infinity protocol (used for 'auto')
+export const INFINITY_NAME_PATTERNS = [
+    /^NW-\d{8}/i,
+    /^NEEWER-(RGB1200|CB60B|TL60|PL60C)/i
+];
 
 // Neewer light name patterns for discovery
 export const NEEWER_NAME_PATTERNS = [
@@ -26,6 +50,10 @@ export const NEEWER_NAME_PATTERNS = [
     'ZRP'
 ];
 
+// Advertised service UUIDs that identify a Neewer light even without a name
+// (noble reports UUIDs lowercase without dashes)
+export const NEEWER_SERVICE_UUIDS = [GATT_SERVICE_UUID];
+
 // Light capabilities
 export const LIGHT_TYPES = {
     CCT_ONLY: 'cct_only',
@@ -34,9 +62,10 @@ export const LIGHT_TYPES = {
     SCENE_CAPABLE: 'scene_capable'
 };
 
-// CCT Temperature range (in Kelvin)
-export const CCT_MIN = 2700;
-export const CCT_MAX = 6500;
+// CCT Temperature range (in Kelvin) - outer limits across all models,
+// per-model ranges live in lightModels.js
+export const CCT_MIN = 2500;
+export const CCT_MAX = 10000;
 export const CCT_DEFAULT = 5600;
 
 // RGB/HSI ranges
@@ -62,4 +91,5 @@ export const SCENES = {
 
 // Scan settings
 export const SCAN_TIMEOUT = 10000; // 10 seconds default scan time
-export const RSSI_THRESHOLD = -90; // Minimum signal strength
\ No newline at end of file
+export const RSSI_THRESHOLD = -90; // Minimum signal strength
+export const RSSI_HISTORY_LENGTH = 20; // RSSI samples kept per device in a scan session
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Easing curves for fades - map progress t (0-1) to eased progress (0-1)
+
+import { CommandError, ERROR_CODES } from './errors.js';
+
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    sine: t => (1 - Math.cos(Math.PI * t)) / 2
+};
+
+/**
+ * Look up an easing curve by name
+ * @param {string} name - One of EASINGS (default 'linear')
+ * @returns {Function}
+ */
+export function getEasing(name = 'linear') {
+    const easing = EASINGS[name];
+    if (!easing) {
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown easing: ${name} (expected one of ${Object.keys(EASINGS).join(', ')})`);
+    }
+    return easing;
+}
+
+/**
+ * Interpolate every numeric field of `to` from `from` at eased progress k (0-1).
+ * Hue takes the short way round the color wheel.
+ * @returns {Object} Rounded values
+ */
+export function interpolate(from, to, k) {
+    const values = {};
+    for (const key of Object.keys(to)) {
+        const start = from[key] ?? to[key];
+        let delta = to[key] - start;
+        if (key === 'hue') {
+            if (delta > 180) delta -= 360;
+            if (delta < -180) delta += 360;
+            values[key] = Math.round((start + delta * k + 360) % 360);
+        } else {
+            values[key] = Math.round(start + delta * k);
+        }
+    }
+    return values;
+}
@@ -0,0 +1,38 @@
+// Error codes - stable strings API clients can match on (messages may change)
+
+export const ERROR_CODES = {
+    NOT_CONNECTED: 'NOT_CONNECTED', // the light is managed but not connected
+    UNKNOWN_LIGHT: 'UNKNOWN_LIGHT', // no managed light with that MAC
+    NOT_FOUND: 'NOT_FOUND',         // unknown group, preset, effect or scan session
+    INVALID_PARAM: 'INVALID_PARAM', // missing or bad parameter, unknown action, scene, easing...
+    UNSUPPORTED: 'UNSUPPORTED',     // the light's model can't do it (RGB, scenes)
+    UNAUTHORIZED: 'UNAUTHORIZED',   // not authenticated yet, or bad credentials
+    FORBIDDEN: 'FORBIDDEN',         // the client's role can't run that action
+    TIMEOUT: 'TIMEOUT',             // the light didn't take the command in time
+    FAILED: 'FAILED'                // anything else
+};
+
+export class CommandError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+    }
+}
+
+/**
+ * The code for any error: a CommandError's own, INVALID_PARAM for config validation
+ * errors, TIMEOUT for timeouts from lower layers, FAILED otherwise
+ * @param {Error} error
+ * @returns {string}
+ */
+export function errorCode(error) {
+    if (error?.code && Object.values(ERROR_CODES).includes(error.code)) return error.code;
+    if (error?.problems) return ERROR_CODES.INVALID_PARAM; // ConfigError
+    if (/timed? ?out/i.test(error?.message || '')) return ERROR_CODES.TIMEOUT;
+    return ERROR_CODES.FAILED;
+}
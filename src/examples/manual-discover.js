@@ -1,6 +1,7 @@
 // Manual discovery approach - sometimes works better on Windows
 import noble from '@stoprocent/noble';
-import { NEEWER_NAME_PATTERNS, GATT_CHARACTERISTIC_UUID } from '../constants.js';
+import { GATT_CHARACTERISTIC_UUID } from '../constants.js';
+import { neewerMatch } from '../LightScanner.js';
 
 async function waitForBluetooth() {
     return new Promise((resolve) => {
@@ -14,15 +15,6 @@ async function waitForBluetooth() {
     });
 }
 
-function isNeewerLight(peripheral) {
-    const name = peripheral.advertisement.localName;
-    if (!name) return false;
-    const upperName = name.toUpperCase();
-    return NEEWER_NAME_PATTERNS.some(pattern =>
-        upperName.includes(pattern.toUpperCase())
-    );
-}
-
 async function main() {
     console.log('Waiting for Bluetooth...');
     await waitForBluetooth();
@@ -32,13 +24,13 @@ async function main() {
     let targetPeripheral = null;
 
     noble.on('discover', async (peripheral) => {
-        if (!isNeewerLight(peripheral)) return;
+        if (!neewerMatch(peripheral)) return;
         if (targetPeripheral) return; // Already found one
 
         targetPeripheral = peripheral;
         noble.stopScanning();
 
-        console.log(`Found: ${peripheral.advertisement.localName}`);
+        console.log(`Found: ${peripheral.advertisement.localName || '(no name)'}`);
         console.log(`Address: ${peripheral.address}`);
         console.log(`RSSI: ${peripheral.rssi} dBm\n`);
 
@@ -0,0 +1,5 @@
+// Example: Print the HTTP API as an OpenAPI document
+//   npm run openapi > neewer-openapi.json
+import { openApiDocument } from '../openapi.js';
+
+console.log(JSON.stringify(openApiDocument(), null, 2));
@@ -0,0 +1,5 @@
+// Example: Print the WebSocket protocol as JSON Schema (for generating client bindings)
+//   npm run schema > neewer-protocol.schema.json
+import { protocolSchema } from '../protocol.js';
+
+console.log(JSON.stringify(protocolSchema(), null, 2));
@@ -2,23 +2,115 @@
 
 import { LightManager } from './LightManager.js';
 import { WebSocketServer } from './WebSocketServer.js';
+import { HttpServer } from './HttpServer.js';
+import { MqttBridge } from './MqttBridge.js';
+import { createTransport } from './transports/index.js';
+import { ConfigStore, ConfigError } from './ConfigStore.js';
+import { PresetStore, DEFAULT_PRESETS_PATH } from './PresetStore.js';
 
-const WEBSOCKET_PORT = 8080;
+// BLE backend: real adapter (noble) or in-process fake lights (--simulate / NEEWER_TRANSPORT=simulated)
+const TRANSPORT = process.argv.includes('--simulate') ? 'simulated' : (process.env.NEEWER_TRANSPORT || 'noble');
+
+// Config file (--config path / --config=path / NEEWER_CONFIG); without one, src/lightConfig.js is used
+const CONFIG_PATH = getArg('--config') || process.env.NEEWER_CONFIG || null;
+
+// Presets file (--presets path / NEEWER_PRESETS), default presets.json in the project root
+const PRESETS_PATH = getArg('--presets') || process.env.NEEWER_PRESETS || DEFAULT_PRESETS_PATH;
+
+function getArg(flag) {
+    const args = process.argv.slice(2);
+    const inline = args.find(arg => arg.startsWith(`${flag}=`));
+    if (inline) return inline.slice(flag.length + 1);
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
 
 async function main() {
     console.log('╔════════════════════════════════════════╗');
     console.log('║   Neewer Light Controller Starting    ║');
     console.log('╚════════════════════════════════════════╝\n');
 
+    // Load config
+    const configStore = new ConfigStore(CONFIG_PATH);
+    let config;
+    try {
+        config = configStore.load();
+    } catch (error) {
+        console.error(`\n❌ ${error instanceof ConfigError ? error.message : `Could not read config: ${error.message}`}`);
+        process.exit(1);
+    }
+    console.log(`📄 Config: ${configStore.filePath || 'src/lightConfig.js'} (${config.lights.length} lights)`);
+
+    const presets = new PresetStore(PRESETS_PATH);
+    try {
+        presets.load();
+    } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    }
+
     // Create light manager
-    const lightManager = new LightManager();
+    if (TRANSPORT !== 'noble') console.log(`🧪 Using ${TRANSPORT} transport - no real lights will be controlled\n`);
+    const transport = createTransport(TRANSPORT, config.lights);
+    const lightManager = new LightManager({
+        transport,
+        lights: config.lights,
+        groups: config.groups,
+        tunables: config.tunables,
+        presets
+    });
 
     // Create WebSocket server
-    const wsServer = new WebSocketServer(lightManager, WEBSOCKET_PORT);
+    const access = { host: config.host, allowedOrigins: config.allowedOrigins, auth: config.auth };
+    const wsServer = new WebSocketServer(lightManager, config.port, access);
+
+    // HTTP API on the same lights (only with httpPort in the config)
+    const httpServer = config.httpPort ? new HttpServer(lightManager, config.httpPort, access) : null;
+
+    // MQTT / Home Assistant (only with an mqtt section in the config)
+    const mqttBridge = config.mqtt ? new MqttBridge(lightManager, config.mqtt) : null;
+
+    // Hot reload: apply light and tunable edits without a restart
+    configStore.on('change', (next, previous) => {
+        if (next.port !== previous.port) {
+            console.log(`⚠ Port change (${previous.port} → ${next.port}) takes effect after a restart`);
+        }
+        if (next.httpPort !== previous.httpPort) {
+            console.log(`⚠ HTTP port change (${previous.httpPort || 'off'} → ${next.httpPort || 'off'}) takes effect after a restart`);
+        }
+        if (JSON.stringify(next.mqtt) !== JSON.stringify(previous.mqtt)) {
+            console.log('⚠ MQTT changes take effect after a restart');
+        }
+        if (next.host !== previous.host) {
+            console.log(`⚠ Host change (${previous.host || 'all interfaces'} → ${next.host || 'all interfaces'}) takes effect after a restart`);
+        }
+        wsServer.configureAccess(next); // users, roles and allowed origins apply right away
+        if (httpServer) httpServer.configureAccess(next);
+        if (transport.syncConfig) transport.syncConfig(next.lights); // simulator: fake lights for new entries
+        lightManager.applyConfig(next);
+    });
+    configStore.watch();
+
+    // Lights and groups changed over the API are saved back to the config file
+    lightManager.on('configChanged', (changes) => {
+        if (transport.syncConfig) transport.syncConfig(changes.lights);
+        try {
+            configStore.update(changes);
+            console.log(`💾 Saved ${changes.lights.length} lights and ${Object.keys(changes.groups).length} groups to ${configStore.filePath}`);
+        } catch (error) {
+            console.error(`❌ Could not save config: ${error.message}`);
+        }
+    });
 
     try {
         // Start WebSocket server first (don't wait for lights)
         wsServer.start();
+        if (httpServer) httpServer.start();
+        if (mqttBridge) {
+            mqttBridge.start().catch(err => {
+                console.error(`❌ MQTT bridge could not start: ${err.message}`);
+            });
+        }
 
         // Initialize and connect to all lights (in background)
         lightManager.initialize().catch(err => {
@@ -28,12 +120,36 @@ async function main() {
         console.log('\n╔════════════════════════════════════════╗');
         console.log('║        System Ready!                   ║');
         console.log('╚════════════════════════════════════════╝');
-        console.log(`\nWebSocket: ws://localhost:${WEBSOCKET_PORT}`);
+        console.log(`\nWebSocket: ws://${config.host || 'localhost'}:${config.port}`);
+        if (httpServer) console.log(`HTTP API: http://${config.host || 'localhost'}:${config.httpPort} (e.g. curl -X PUT .../lights/<mac> -d '{"brightness":50,"temperature":5600}')`);
         console.log('\nExample commands:');
         console.log('  Set all lights to 50% @ 5600K:');
         console.log('    {"action":"setCCT","brightness":50,"temperature":5600}');
         console.log('  Set specific light:');
         console.log('    {"action":"setCCT","mac":"fc:e6:97:7d:d7:18","brightness":75,"temperature":3200}');
+        console.log('  Set specific light to blue (RGB panels):');
+        console.log('    {"action":"setHSI","mac":"fc:e6:97:7d:d7:18","hue":240,"saturation":100,"brightness":60}');
+        console.log('  Set a group (from the config file or setGroup):');
+        console.log('    {"action":"setCCT","group":"key","brightness":80,"temperature":5600}');
+        console.log('  Save the current look / bring it back with a 2s fade:');
+        console.log('    {"action":"savePreset","name":"interview"}');
+        console.log('    {"action":"recallPreset","name":"interview","durationMs":2000}');
+        console.log('  Turn all lights off / back on:');
+        console.log('    {"action":"power","state":"off"}');
+        console.log('    {"action":"power","state":"on"}');
+        console.log('  Add / rename / remove a light (saved to the config file):');
+        console.log('    {"action":"addLight","mac":"aa:bb:cc:dd:ee:ff","name":"Key Light"}');
+        console.log('    {"action":"renameLight","mac":"aa:bb:cc:dd:ee:ff","name":"Fill Light"}');
+        console.log('    {"action":"removeLight","mac":"aa:bb:cc:dd:ee:ff"}');
+        console.log('  Find unmanaged lights / adopt one into a group:');
+        console.log('    {"action":"startDiscovery"}');
+        console.log('    {"action":"adopt","mac":"aa:bb:cc:dd:ee:ff","name":"Rental 1","group":"key"}');
+        console.log('  Watch advertisements live for 30s (every device, not only Neewer):');
+        console.log('    {"action":"startScan","durationMs":30000,"all":true}');
+        console.log('  Authenticate (when auth users are configured; or connect with ?token=...):');
+        console.log('    {"action":"auth","token":"..."}');
+        console.log('  Protocol schema (JSON Schema of every action):');
+        console.log('    {"action":"getSchema"}');
         console.log('  Get status:');
         console.log('    {"action":"getStatus"}');
         console.log('\nPress Ctrl+C to exit\n');
@@ -46,7 +162,10 @@ async function main() {
     // Handle shutdown
     const shutdown = async () => {
         console.log('\n\n🛑 Shutting down...');
+        configStore.unwatch();
         wsServer.stop();
+        if (httpServer) httpServer.stop();
+        if (mqttBridge) await mqttBridge.stop();
         await lightManager.shutdown();
         process.exit(0);
     };
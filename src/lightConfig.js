@@ -1,4 +1,20 @@
 // Light Configuration - Your 4 specific lights
+//
+// Optional per-light fields:
+//   model:    a key from lightModels.js ('GL1', 'SL', 'RGB', 'CB60', ...) when the advertised
+//             name doesn't identify it; drives CCT range, RGB/scene support and protocol
+//   protocol: 'legacy' | 'infinity' | 'auto' (default 'auto' - taken from the model;
+//             newer MAC-addressed models need 'infinity')
+//   simulatedName: advertised name of this light under --simulate (default 'NEEWER-RGB660 PRO')
+//   simulatedFaults: faults of the fake light under --simulate, e.g. { disconnectEveryMs: 30000 }
+//             (see SimulatedTransport.applyConfigFaults)
+//
+// Optional limits and calibration (applied to every command, including fades and effects):
+//   fixedTemp:     the light only does this CCT (Kelvin); commands are sent at it and status shows it
+//   minTemp / maxTemp:             narrow the model's CCT range
+//   minBrightness / maxBrightness: 0-100, brightness commands are clamped to this range
+//   brightnessCurve: output = 100 * (brightness / 100) ^ curve (default 1 = linear; >1 gives finer low end)
+//   cctOffset:     Kelvin added to the CCT sent to the light, for panels that run warm/cool
 
 export const LIGHTS = [
     {
@@ -0,0 +1,95 @@
+// Per-light limits and calibration from the light config
+//
+// State, desired state and status use logical values: what was asked for, clamped to
+// the light's limits. calibrate() maps them to what is written to the light (brightness
+// curve, CCT offset) and fromDevice() maps what the light reports back.
+
+import { BRIGHTNESS_MIN, BRIGHTNESS_MAX } from './constants.js';
+
+// Config fields handled here (see lightConfig.js)
+export const LIMIT_KEYS = ['fixedTemp', 'minTemp', 'maxTemp', 'minBrightness', 'maxBrightness', 'brightnessCurve', 'cctOffset'];
+
+/**
+ * Effective limits for a light: the model's CCT range narrowed by the config
+ * @param {Object} model - lightModels.js entry
+ * @param {Object} config - Light config ({ fixedTemp?, minTemp?, maxTemp?, minBrightness?, ... })
+ * @returns {{cctRange: Object, fixedTemp: number|null, brightnessRange: Object, brightnessCurve: number, cctOffset: number}}
+ */
+export function resolveLimits(model, config = {}) {
+    const fixedTemp = config.fixedTemp ?? null;
+    let cctRange;
+    if (fixedTemp !== null) {
+        // The panel only does one temperature, whatever its model says
+        cctRange = { min: fixedTemp, max: fixedTemp };
+    } else {
+        const max = Math.min(model.cctRange.max, config.maxTemp ?? model.cctRange.max);
+        const min = Math.min(max, Math.max(model.cctRange.min, config.minTemp ?? model.cctRange.min));
+        cctRange = { min, max };
+    }
+    return {
+        cctRange,
+        fixedTemp,
+        brightnessRange: { min: config.minBrightness ?? BRIGHTNESS_MIN, max: config.maxBrightness ?? BRIGHTNESS_MAX },
+        brightnessCurve: config.brightnessCurve ?? 1,
+        cctOffset: config.cctOffset ?? 0
+    };
+}
+
+/**
+ * Clamp the brightness / cct fields of a value set to the limits (other fields pass through)
+ */
+export function clampToLimits(limits, values) {
+    const clamped = { ...values };
+    if (values.brightness !== undefined) {
+        const { min, max } = limits.brightnessRange;
+        clamped.brightness = Math.max(min, Math.min(max, Math.round(values.brightness)));
+    }
+    if (values.cct !== undefined) {
+        const { min, max } = limits.cctRange;
+        clamped.cct = Math.max(min, Math.min(max, Math.round(values.cct)));
+    }
+    return clamped;
+}
+
+/**
+ * Logical values to what the light should be sent: brightness through the curve
+ * (output = 100 * (b / 100) ^ curve), CCT plus the offset. No clamping.
+ */
+export function calibrate(limits, values) {
+    const calibrated = { ...values };
+    if (typeof values.brightness === 'number' && limits.brightnessCurve !== 1) {
+        calibrated.brightness = Math.round(BRIGHTNESS_MAX * (values.brightness / BRIGHTNESS_MAX) ** limits.brightnessCurve);
+    }
+    if (typeof values.cct === 'number') calibrated.cct = Math.round(values.cct + limits.cctOffset);
+    return calibrated;
+}
+
+/**
+ * Clamp then calibrate: the values to put in a command
+ */
+export function toDevice(limits, values) {
+    return calibrate(limits, clampToLimits(limits, values));
+}
+
+/**
+ * What a light reported, back to logical values (inverse of calibrate). Reported CCTs are
+ * quantized, so the CCT is clamped to the limits (a fixedTemp light always reads fixedTemp)
+ * and a current CCT that encodes to the same reported value is kept.
+ * @param {Object} limits
+ * @param {Object} values - Decoded report ({ brightness?, cct?, ... })
+ * @param {Object} options - { current: the light's state, cctStep: Kelvin per reported step }
+ */
+export function fromDevice(limits, values, { current = {}, cctStep = 0 } = {}) {
+    const logical = { ...values };
+    if (typeof values.brightness === 'number' && limits.brightnessCurve !== 1) {
+        logical.brightness = Math.round(BRIGHTNESS_MAX * (values.brightness / BRIGHTNESS_MAX) ** (1 / limits.brightnessCurve));
+    }
+    if (typeof values.cct === 'number') {
+        const { min, max } = limits.cctRange;
+        logical.cct = Math.max(min, Math.min(max, values.cct - limits.cctOffset));
+        if (typeof current.cct === 'number' && Math.abs(current.cct - logical.cct) <= cctStep / 2) {
+            logical.cct = current.cct;
+        }
+    }
+    return logical;
+}
@@ -0,0 +1,121 @@
+// Light Models - Per-model capabilities, keyed on advertised name patterns
+//
+// First matching entry wins, so keep specific patterns above generic ones.
+// protocol: null means "guess from the advertised name" (see CommandBuilder.detectProtocol)
+
+import { PROTOCOLS } from './constants.js';
+
+export const LIGHT_MODELS = [
+    {
+        key: 'RGB1200',
+        pattern: /RGB1200/i,
+        cctRange: { min: 2500, max: 10000 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.INFINITY
+    },
+    {
+        key: 'CB60',
+        pattern: /CB60/i,
+        cctRange: { min: 2500, max: 6500 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.INFINITY
+    },
+    {
+        key: 'GL1',
+        pattern: /GL1/i,
+        cctRange: { min: 2900, max: 7000 },
+        supportsRGB: false,
+        supportsScenes: false,
+        protocol: PROTOCOLS.LEGACY
+    },
+    {
+        key: 'BH30S',
+        pattern: /BH30S/i,
+        cctRange: { min: 2500, max: 10000 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.LEGACY
+    },
+    {
+        key: 'CL124',
+        pattern: /CL124/i,
+        cctRange: { min: 2500, max: 10000 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.LEGACY
+    },
+    {
+        key: 'SL',
+        pattern: /SL-/i,
+        cctRange: { min: 3200, max: 8500 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.LEGACY
+    },
+    {
+        key: 'SNL',
+        pattern: /SNL/i,
+        cctRange: { min: 3200, max: 5600 },
+        supportsRGB: false,
+        supportsScenes: false,
+        protocol: PROTOCOLS.LEGACY
+    },
+    {
+        key: 'RGB',
+        pattern: /RGB/i,
+        cctRange: { min: 3200, max: 5600 },
+        supportsRGB: true,
+        supportsScenes: true,
+        protocol: PROTOCOLS.LEGACY
+    }
+];
+
+// Fallback for names we don't recognize: a bi-color panel
+export const DEFAULT_MODEL = {
+    key: 'GENERIC',
+    pattern: null,
+    cctRange: { min: 3200, max: 5600 },
+    supportsRGB: false,
+    supportsScenes: false,
+    protocol: null
+};
+
+/**
+ * Find the model for an advertised name (DEFAULT_MODEL if nothing matches)
+ * @param {string} name - Advertised localName
+ * @returns {Object}
+ */
+export function findModelByName(name) {
+    if (!name) return DEFAULT_MODEL;
+    return LIGHT_MODELS.find(model => model.pattern.test(name)) || DEFAULT_MODEL;
+}
+
+/**
+ * Find a model by its key, e.g. 'GL1' (null if unknown)
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export function findModelByKey(key) {
+    if (!key) return null;
+    const upperKey = String(key).toUpperCase();
+    if (upperKey === DEFAULT_MODEL.key) return DEFAULT_MODEL;
+    return LIGHT_MODELS.find(model => model.key === upperKey) || null;
+}
+
+/**
+ * Build the capabilities object reported for a light of this model
+ * @param {Object} model
+ * @returns {Object}
+ */
+export function capabilitiesFor(model) {
+    return {
+        model: model.key,
+        supportsCCT: true,
+        supportsRGB: model.supportsRGB,
+        supportsScenes: model.supportsScenes,
+        cctRange: { ...model.cctRange },
+        brightnessRange: { min: 0, max: 100 }
+    };
+}
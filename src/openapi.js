@@ -0,0 +1,175 @@
+// OpenAPI document for the HTTP API (HttpServer.js), built from the WebSocket protocol
+// schemas so both APIs take the same fields and ranges
+
+import { ACTIONS, LIGHT_ACTIONS, PROTOCOL_VERSION } from './protocol.js';
+import { ERROR_CODES } from './errors.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+const errors = {
+    400: { $ref: '#/components/responses/Error' },
+    401: { $ref: '#/components/responses/Error' },
+    403: { $ref: '#/components/responses/Error' }
+};
+
+/**
+ * Request body for a light command: the action's fields without the target, which is in
+ * the path. action is optional; HttpServer infers it from the fields (see README).
+ */
+function commandBody(action) {
+    const { description, role, properties, required = [] } = ACTIONS[action];
+    const { mac, group, ...fields } = properties;
+    return {
+        type: 'object',
+        description,
+        'x-role': role,
+        properties: { action: { const: action }, ...fields },
+        required,
+        additionalProperties: false
+    };
+}
+
+const macParam = { name: 'mac', in: 'path', required: true, schema: ACTIONS.reconnect.properties.mac };
+const groupParam = { name: 'name', in: 'path', required: true, schema: ACTIONS.deleteGroup.properties.group };
+
+const commandOperation = (summary, parameters) => ({
+    summary,
+    description: 'Role: operator. Replies with per-light results; success is false if any light failed.',
+    parameters,
+    requestBody: { required: true, content: { 'application/json': { schema: ref('LightCommand') } } },
+    responses: { 200: json(ref('Results'), 'Per-light results'), ...errors, 404: { $ref: '#/components/responses/Error' } }
+});
+
+/**
+ * The whole HTTP API as an OpenAPI 3.1 document
+ */
+export function openApiDocument() {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Neewer light controller HTTP API',
+            version: `${PROTOCOL_VERSION}`,
+            description: 'The same commands, results and error codes as the WebSocket API. With auth users '
+                + 'configured, send a token (Authorization: Bearer, or ?token=) or a user and password (Basic).'
+        },
+        security: [{ bearerAuth: [] }, { basicAuth: [] }, { tokenQuery: [] }, {}],
+        paths: {
+            '/status': {
+                get: { summary: 'Full status (role: viewer)', responses: { 200: json(ref('Status'), 'Status'), ...errors } }
+            },
+            '/lights': {
+                get: { summary: 'Every managed light (role: viewer)', responses: { 200: json({ type: 'array', items: ref('Light') }, 'Lights'), ...errors } },
+                put: commandOperation('Send a command to every light', [])
+            },
+            '/lights/{mac}': {
+                get: {
+                    summary: 'One light (role: viewer)',
+                    parameters: [macParam],
+                    responses: { 200: json(ref('Light'), 'Light'), ...errors, 404: { $ref: '#/components/responses/Error' } }
+                },
+                put: commandOperation('Send a command to one light', [macParam])
+            },
+            '/groups': {
+                get: {
+                    summary: 'Groups and their lights (role: viewer)',
+                    responses: { 200: json({ type: 'object', additionalProperties: { type: 'array', items: macParam.schema } }, 'Groups'), ...errors }
+                }
+            },
+            '/groups/{name}': {
+                post: commandOperation('Send a command to a group', [groupParam]),
+                put: {
+                    summary: 'Create or replace a group (role: admin)',
+                    parameters: [groupParam],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { type: 'object', properties: { macs: ACTIONS.setGroup.properties.macs }, required: ['macs'], additionalProperties: false } } }
+                    },
+                    responses: { 200: json(ref('Results'), 'Done'), ...errors }
+                },
+                delete: {
+                    summary: 'Delete a group (role: admin)',
+                    parameters: [groupParam],
+                    responses: { 200: json(ref('Results'), 'Done'), ...errors, 404: { $ref: '#/components/responses/Error' } }
+                }
+            },
+            '/presets': {
+                get: { summary: 'Saved presets (role: viewer)', responses: { 200: json({ type: 'array', items: { type: 'object' } }, 'Presets'), ...errors } }
+            },
+            '/presets/{name}/recall': {
+                post: {
+                    summary: 'Recall a preset (role: operator)',
+                    parameters: [{ name: 'name', in: 'path', required: true, schema: ACTIONS.recallPreset.properties.name }],
+                    requestBody: {
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: (({ name, ...rest }) => rest)(ACTIONS.recallPreset.properties),
+                                    additionalProperties: false
+                                }
+                            }
+                        }
+                    },
+                    responses: { 200: json(ref('Results'), 'Per-light results'), ...errors, 404: { $ref: '#/components/responses/Error' } }
+                }
+            },
+            '/openapi.json': {
+                get: { summary: 'This document', security: [{}], responses: { 200: json({ type: 'object' }, 'OpenAPI document') } }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                basicAuth: { type: 'http', scheme: 'basic' },
+                tokenQuery: { type: 'apiKey', in: 'query', name: 'token' }
+            },
+            schemas: {
+                LightCommand: { oneOf: LIGHT_ACTIONS.map(action => ref(action)) },
+                ...Object.fromEntries(LIGHT_ACTIONS.map(action => [action, commandBody(action)])),
+                Results: {
+                    type: 'object',
+                    properties: {
+                        action: { type: 'string' },
+                        success: { type: 'boolean' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    mac: { type: 'string' },
+                                    success: { type: 'boolean' },
+                                    error: { type: 'string' },
+                                    code: { type: 'string', enum: Object.values(ERROR_CODES) }
+                                },
+                                required: ['mac', 'success']
+                            }
+                        }
+                    },
+                    required: ['action', 'success', 'timestamp']
+                },
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { const: true },
+                        action: { type: 'string' },
+                        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                        message: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    },
+                    required: ['error', 'code', 'message', 'timestamp']
+                },
+                Light: { type: 'object', description: 'One light, as in status (see Status Format in the README)' },
+                Status: {
+                    type: 'object',
+                    description: 'Full status, as sent over the WebSocket',
+                    properties: { seq: { type: 'integer' }, lights: { type: 'array', items: ref('Light') }, groups: { type: 'object' } }
+                }
+            },
+            responses: {
+                Error: json(ref('Error'), 'Error with a code from the WebSocket API: INVALID_PARAM 400, UNAUTHORIZED 401, '
+                    + 'FORBIDDEN 403, UNKNOWN_LIGHT/NOT_FOUND 404, NOT_CONNECTED 409, UNSUPPORTED 422, TIMEOUT 504, FAILED 500')
+            }
+        }
+    };
+}
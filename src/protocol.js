@@ -0,0 +1,391 @@
+// WebSocket protocol - the schema for every client action, and the validator the server runs
+//
+// ACTIONS is plain JSON Schema (draft 2020-12, a subset: type, enum, const, minimum/maximum,
+// exclusiveMinimum, minLength/maxLength, pattern, items, required, additionalProperties, not),
+// plus x-role: the role an action needs.
+// protocolSchema() wraps it into one publishable document so clients can generate bindings
+// (npm run schema, or the getSchema action).
+
+import { CCT_MIN, CCT_MAX, SCENES, PROTOCOLS } from './constants.js';
+import { EASINGS } from './easing.js';
+import { EFFECTS } from './EffectEngine.js';
+import { GROUP_NAME_PATTERN } from './LightManager.js';
+import { LIGHT_MODELS } from './lightModels.js';
+import { CommandError, ERROR_CODES } from './errors.js';
+import { ROLES } from './auth.js';
+
+// Bump on any change that could break an existing client (renamed or removed fields/actions,
+// narrower ranges). New optional fields and new actions don't need a bump.
+export const PROTOCOL_VERSION = 1;
+
+const MAX_DURATION_MS = 3600000; // 1 hour
+
+// ============ Field schemas ============
+
+const mac = { type: 'string', pattern: '^([0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}$', description: 'Light MAC address' };
+const group = { type: 'string', pattern: GROUP_NAME_PATTERN.source, description: 'Group name' };
+const brightness = { type: 'number', minimum: 0, maximum: 100, description: 'Brightness %' };
+const temperature = { type: 'number', minimum: CCT_MIN, maximum: CCT_MAX, description: 'Color temperature (Kelvin), clamped to the light\'s range' };
+const hue = { type: 'number', minimum: 0, maximum: 360, description: 'Hue (degrees)' };
+const saturation = { type: 'number', minimum: 0, maximum: 100, description: 'Saturation %' };
+const durationMs = { type: 'integer', minimum: 0, maximum: MAX_DURATION_MS, description: 'Fade duration (0 = instant)' };
+const easing = { type: 'string', enum: Object.keys(EASINGS), description: 'Fade easing curve' };
+const name = { type: 'string', minLength: 1, maxLength: 64 };
+
+// Light commands go to one light (mac), a group, or every light (neither)
+const target = { mac, group };
+const notBothTargets = { not: { required: ['mac', 'group'] } };
+
+// Light config fields (see lightConfig.js); ConfigStore.validateLight checks the combinations
+const lightConfig = {
+    mac,
+    name: { ...name, description: 'Display name' },
+    model: { type: 'string', enum: LIGHT_MODELS.map(model => model.key), description: 'Model key (lightModels.js)' },
+    protocol: { type: 'string', enum: [...Object.values(PROTOCOLS), 'auto'] },
+    fixedTemp: { type: 'integer', minimum: 1, description: 'The light only does this CCT (Kelvin)' },
+    minTemp: { type: 'integer', minimum: 1 },
+    maxTemp: { type: 'integer', minimum: 1 },
+    minBrightness: { type: 'integer', minimum: 0, maximum: 100 },
+    maxBrightness: { type: 'integer', minimum: 0, maximum: 100 },
+    brightnessCurve: { type: 'number', exclusiveMinimum: 0, description: 'output = 100 * (brightness / 100) ^ curve' },
+    cctOffset: { type: 'integer', description: 'Kelvin added to the CCT sent to the light' }
+};
+
+// ============ Actions ============
+
+/**
+ * One entry per action: description, the lowest role that may run it (null = anyone, even
+ * before auth; see auth.js), properties (besides action and id), required, and optionally
+ * extra schema keywords (e.g. not)
+ */
+export const ACTIONS = {
+    hello: {
+        description: 'Check protocol compatibility; the server replies with a hello event',
+        role: null,
+        properties: { protocolVersion: { type: 'integer', minimum: 1 } }
+    },
+    getSchema: {
+        description: 'Reply with this schema (schema event)',
+        role: null,
+        properties: {}
+    },
+    auth: {
+        description: 'Authenticate with a token, or a user name and password; the server replies with hello',
+        role: null,
+        properties: {
+            token: { type: 'string', minLength: 1 },
+            user: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1 }
+        }
+    },
+    setCCT: {
+        description: 'Set brightness and color temperature',
+        role: 'operator',
+        properties: { ...target, brightness, temperature, durationMs, easing },
+        required: ['brightness', 'temperature'],
+        ...notBothTargets
+    },
+    setHSI: {
+        description: 'Set hue, saturation and brightness (RGB lights)',
+        role: 'operator',
+        properties: { ...target, hue, saturation, brightness, durationMs, easing },
+        required: ['hue', 'saturation', 'brightness'],
+        ...notBothTargets
+    },
+    setScene: {
+        description: 'Start a built-in scene',
+        role: 'operator',
+        properties: {
+            ...target,
+            scene: {
+                type: ['integer', 'string'],
+                minimum: 1,
+                maximum: 9,
+                minLength: 1,
+                description: `Scene id 1-9 or name (${Object.keys(SCENES).join(', ')})`
+            },
+            brightness
+        },
+        required: ['scene', 'brightness'],
+        ...notBothTargets
+    },
+    power: {
+        description: 'Turn lights on, off, or toggle them',
+        role: 'operator',
+        properties: { ...target, state: { type: 'string', enum: ['on', 'off', 'toggle'] } },
+        required: ['state'],
+        ...notBothTargets
+    },
+    startEffect: {
+        description: 'Start a software effect',
+        role: 'operator',
+        properties: {
+            ...target,
+            effect: { type: 'string', enum: Object.keys(EFFECTS) },
+            speed: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'Effect-specific rate (per second)' },
+            intensity: { type: 'number', minimum: 0, maximum: 100 },
+            hue,
+            saturation,
+            temperature
+        },
+        required: ['effect'],
+        ...notBothTargets
+    },
+    stopEffect: {
+        description: 'Stop effects and restore the previous state',
+        role: 'operator',
+        properties: { ...target },
+        ...notBothTargets
+    },
+    addLight: {
+        description: 'Manage a new light (saved to the config file)',
+        role: 'admin',
+        properties: { ...lightConfig, simulatedName: { type: 'string' } },
+        required: ['mac', 'name']
+    },
+    startDiscovery: {
+        description: 'Scan for unmanaged lights (deviceDiscovered / discovery events)',
+        role: 'operator',
+        properties: { durationMs: { type: 'integer', minimum: 1, maximum: MAX_DURATION_MS } }
+    },
+    listDiscovered: {
+        description: 'Reply with the unmanaged lights found so far (discovered event)',
+        role: 'viewer',
+        properties: {}
+    },
+    adopt: {
+        description: 'Manage a discovered light, optionally adding it to a group',
+        role: 'admin',
+        properties: { ...lightConfig, group },
+        required: ['mac', 'name']
+    },
+    dismiss: {
+        description: 'Forget a discovered light',
+        role: 'admin',
+        properties: { mac },
+        required: ['mac']
+    },
+    startScan: {
+        description: 'Start a live scan session (scanSession / scanReport events to this client)',
+        role: 'operator',
+        properties: {
+            durationMs: { type: 'integer', minimum: 1, maximum: MAX_DURATION_MS },
+            all: { type: 'boolean', description: 'Report every device, not only Neewer lights' },
+            minRssi: { type: 'integer', minimum: -127, maximum: 0 },
+            reportIntervalMs: { type: 'integer', minimum: 0, maximum: 60000 }
+        }
+    },
+    stopScan: {
+        description: 'Stop one of this client\'s scan sessions, or all of them',
+        role: 'operator',
+        properties: { session: { type: 'integer', minimum: 1 } }
+    },
+    removeLight: {
+        description: 'Stop managing a light (saved to the config file)',
+        role: 'admin',
+        properties: { mac },
+        required: ['mac']
+    },
+    renameLight: {
+        description: 'Rename a light (saved to the config file)',
+        role: 'admin',
+        properties: { mac, name: { ...name, pattern: '\\S' } },
+        required: ['mac', 'name']
+    },
+    reconnect: {
+        description: 'Reconnect a light now',
+        role: 'operator',
+        properties: { mac },
+        required: ['mac']
+    },
+    setGroup: {
+        description: 'Create or replace a group',
+        role: 'admin',
+        properties: { group, macs: { type: 'array', items: mac } },
+        required: ['group', 'macs']
+    },
+    deleteGroup: {
+        description: 'Delete a group',
+        role: 'admin',
+        properties: { group },
+        required: ['group']
+    },
+    addToGroup: {
+        description: 'Add a light to a group',
+        role: 'admin',
+        properties: { group, mac },
+        required: ['group', 'mac']
+    },
+    removeFromGroup: {
+        description: 'Remove a light from a group',
+        role: 'admin',
+        properties: { group, mac },
+        required: ['group', 'mac']
+    },
+    savePreset: {
+        description: 'Save the current state of the target lights as a preset',
+        role: 'operator',
+        properties: { ...target, name },
+        required: ['name'],
+        ...notBothTargets
+    },
+    recallPreset: {
+        description: 'Recall a preset, optionally fading and only on the target lights',
+        role: 'operator',
+        properties: { ...target, name, durationMs, easing },
+        required: ['name'],
+        ...notBothTargets
+    },
+    listPresets: {
+        description: 'Reply with all presets (presets event)',
+        role: 'viewer',
+        properties: {}
+    },
+    deletePreset: {
+        description: 'Delete a preset',
+        role: 'operator',
+        properties: { name },
+        required: ['name']
+    },
+    resync: {
+        description: 'Reply with the deltas after seq (resync event), or a snapshot if they are gone',
+        role: 'viewer',
+        properties: { seq: { type: ['integer', 'null'], minimum: 0 } }
+    },
+    subscribe: {
+        description: 'Choose per-light deltas (default) or full status broadcasts',
+        role: 'viewer',
+        properties: { mode: { type: 'string', enum: ['deltas', 'full'] } },
+        required: ['mode']
+    },
+    getStatus: {
+        description: 'Reply with the full status',
+        role: 'viewer',
+        properties: {}
+    }
+};
+
+// Actions that send something to lights (mac / group / all targets); the HTTP API runs these too
+export const LIGHT_ACTIONS = ['setCCT', 'setHSI', 'setScene', 'power', 'startEffect', 'stopEffect'];
+
+/**
+ * JSON Schema for one action's message
+ */
+export function actionSchema(action) {
+    const { description, role, properties, required = [], ...rest } = ACTIONS[action];
+    return {
+        type: 'object',
+        description,
+        'x-role': role,
+        properties: {
+            action: { const: action },
+            id: { type: ['string', 'number'], description: 'Echoed in the ack or error for this command' },
+            ...properties
+        },
+        required: ['action', ...required],
+        additionalProperties: false,
+        ...rest
+    };
+}
+
+/**
+ * The whole protocol as one JSON Schema document (a message is any one of the actions)
+ */
+export function protocolSchema() {
+    const actions = Object.keys(ACTIONS);
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `neewer-light-controller/protocol/v${PROTOCOL_VERSION}`,
+        title: 'Neewer light controller WebSocket commands',
+        protocolVersion: PROTOCOL_VERSION,
+        errorCodes: Object.values(ERROR_CODES),
+        roles: ROLES,
+        $defs: Object.fromEntries(actions.map(action => [action, actionSchema(action)])),
+        oneOf: actions.map(action => ({ $ref: `#/$defs/${action}` }))
+    };
+}
+
+// ============ Validation ============
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// 'number' accepts integers too
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Check a value against a field schema, pushing problems prefixed with `where`
+ */
+function checkValue(value, schema, where, problems) {
+    const types = [].concat(schema.type ?? []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        problems.push(`${where}: must be ${types.join(' or ')} (got ${JSON.stringify(value)})`);
+        return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        problems.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where}: must be at least ${schema.minimum} (got ${value})`);
+        if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where}: must be at most ${schema.maximum} (got ${value})`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            problems.push(`${where}: must be greater than ${schema.exclusiveMinimum} (got ${value})`);
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${where}: must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${where}: must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${where}: has an invalid format (got ${JSON.stringify(value)})`);
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => checkValue(item, schema.items, `${where}[${index}]`, problems));
+    }
+}
+
+/**
+ * Validate a client message against its action's schema
+ * @param {Object} message - Parsed JSON
+ * @throws {CommandError} INVALID_PARAM listing every problem
+ */
+export function validateMessage(message) {
+    if (typeOf(message) !== 'object') {
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, 'Message must be a JSON object');
+    }
+    const { action } = message;
+    if (typeof action !== 'string' || !Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, `Unknown action: ${action} (see the getSchema action)`);
+    }
+
+    const schema = actionSchema(action);
+    const problems = [];
+    for (const key of schema.required) {
+        if (message[key] === undefined) problems.push(`${key}: required`);
+    }
+    for (const [key, value] of Object.entries(message)) {
+        const field = schema.properties[key];
+        if (!field) {
+            problems.push(`${key}: unknown field for ${action}`);
+        } else if (value !== undefined) {
+            checkValue(value, field, key, problems);
+        }
+    }
+    if (schema.not?.required && schema.not.required.every(key => message[key] !== undefined)) {
+        problems.push(`${schema.not.required.join(' and ')}: can't be combined`);
+    }
+
+    if (problems.length > 0) {
+        throw new CommandError(ERROR_CODES.INVALID_PARAM, `${action}: ${problems.join('; ')}`);
+    }
+}
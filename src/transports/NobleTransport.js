@@ -0,0 +1,60 @@
+// NobleTransport - BLE transport backed by @stoprocent/noble (real Bluetooth adapter)
+import { EventEmitter } from 'events';
+
+export class NobleTransport extends EventEmitter {
+    constructor() {
+        super();
+        this.name = 'noble';
+        this.noble = null;
+        this.onDiscover = (peripheral) => this.emit('discover', peripheral);
+    }
+
+    /**
+     * Load noble on first use so the simulator works on machines without a BLE stack
+     */
+    async load() {
+        if (!this.noble) {
+            const module = await import('@stoprocent/noble');
+            this.noble = module.default;
+            this.noble.on('discover', this.onDiscover);
+        }
+        return this.noble;
+    }
+
+    /**
+     * Wait for Bluetooth adapter to be ready
+     */
+    async waitForAdapter(timeoutMs = 5000) {
+        const noble = await this.load();
+        return new Promise((resolve, reject) => {
+            if (noble.state === 'poweredOn') {
+                resolve();
+                return;
+            }
+            const timeout = setTimeout(() => {
+                reject(new Error('Bluetooth adapter did not power on in time'));
+            }, timeoutMs);
+            noble.once('stateChange', (state) => {
+                clearTimeout(timeout);
+                if (state === 'poweredOn') resolve();
+                else reject(new Error(`Bluetooth adapter is ${state}`));
+            });
+        });
+    }
+
+    /**
+     * Start scanning; peripherals are emitted as 'discover' events
+     * @param {string[]} serviceUuids - Empty for all devices
+     * @param {boolean} allowDuplicates
+     */
+    startScanning(serviceUuids = [], allowDuplicates = true) {
+        this.noble.startScanning(serviceUuids, allowDuplicates);
+    }
+
+    /**
+     * Stop scanning
+     */
+    stopScanning() {
+        if (this.noble) this.noble.stopScanning();
+    }
+}
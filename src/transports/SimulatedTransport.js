@@ -0,0 +1,308 @@
+// SimulatedTransport - In-process fake Neewer lights for development and demos
+//
+// Peripherals mimic the subset of the noble peripheral/characteristic API that
+// NeewerLight and LightManager use, decode writes with NotificationDecoder and
+// answer with notifications. Faults (disconnects, timeouts, write errors) can be
+// injected per device to exercise the reconnect logic.
+import { EventEmitter } from 'events';
+import { CommandBuilder } from '../CommandBuilder.js';
+import { NotificationDecoder } from '../NotificationDecoder.js';
+import {
+    GATT_SERVICE_UUID, GATT_CHARACTERISTIC_UUID, GATT_NOTIFY_CHARACTERISTIC_UUID, PROTOCOLS
+} from '../constants.js';
+
+const ADVERTISE_INTERVAL_MS = 500;
+const DEFAULT_LATENCY_MS = 50;
+
+const NO_FAULTS = { connectTimeout: false, connectError: null, writeError: null, writeTimeout: false, dropNotifications: false };
+
+// simulatedFaults in a light's config (checked by ConfigStore): the faults above, plus
+// advertising (false = out of range) and disconnectEveryMs (drop the link on a timer)
+export const SIMULATED_FAULT_TYPES = {
+    connectTimeout: 'boolean',
+    connectError: 'string',
+    writeError: 'string',
+    writeTimeout: 'boolean',
+    dropNotifications: 'boolean',
+    advertising: 'boolean',
+    disconnectEveryMs: 'integer'
+};
+
+class SimulatedCharacteristic extends EventEmitter {
+    constructor(peripheral, uuid, properties) {
+        super();
+        this.peripheral = peripheral;
+        this.uuid = uuid;
+        this.properties = properties;
+    }
+
+    async writeAsync(data, withoutResponse) {
+        await this.peripheral.delay();
+        this.peripheral.assertConnected();
+        if (this.peripheral.faults.writeError) {
+            throw new Error(this.peripheral.faults.writeError);
+        }
+        if (this.peripheral.faults.writeTimeout) {
+            return new Promise(() => {}); // never acknowledged
+        }
+        this.peripheral.handleWrite(Buffer.from(data));
+    }
+
+    async subscribeAsync() {
+        await this.peripheral.delay();
+        this.peripheral.assertConnected();
+    }
+
+    async readAsync() {
+        await this.peripheral.delay();
+        this.peripheral.assertConnected();
+        return this.peripheral.stateFrame();
+    }
+}
+
+class SimulatedPeripheral extends EventEmitter {
+    constructor(transport, {
+        name, address, rssi = -60, protocol = null, latencyMs = DEFAULT_LATENCY_MS,
+        serviceUuids = [GATT_SERVICE_UUID], manufacturerData = null
+    }) {
+        super();
+        this.transport = transport;
+        this.id = address.replace(/:/g, '').toLowerCase();
+        this.address = address.toLowerCase();
+        this.rssi = rssi;
+        this.advertisement = {
+            localName: name,
+            serviceUuids,
+            manufacturerData: manufacturerData === null ? null : Buffer.from(manufacturerData, 'hex')
+        };
+        this.state = 'disconnected';
+        this.protocol = protocol || CommandBuilder.detectProtocol(name);
+        this.latencyMs = latencyMs;
+        this.advertising = true;
+        this.faults = { ...NO_FAULTS };
+        this.configFaults = '{}'; // simulatedFaults from the config, as last applied
+        this.dropTimer = null;
+        this.pendingConnect = null;
+
+        // What the fake light is showing
+        this.light = { isOn: true, mode: 'cct', brightness: 50, cct: 5600, hue: 0, saturation: 100, scene: null };
+
+        this.writeCharacteristic = new SimulatedCharacteristic(this, GATT_CHARACTERISTIC_UUID, ['write', 'writeWithoutResponse']);
+        this.notifyCharacteristic = new SimulatedCharacteristic(this, GATT_NOTIFY_CHARACTERISTIC_UUID, ['read', 'notify']);
+    }
+
+    delay(ms = this.latencyMs) {
+        return new Promise(res => setTimeout(res, ms));
+    }
+
+    assertConnected() {
+        if (this.state !== 'connected') throw new Error('Peripheral not connected');
+    }
+
+    async connectAsync() {
+        if (this.state === 'connected') return;
+        this.state = 'connecting';
+
+        if (this.faults.connectTimeout) {
+            // Never completes, like an out-of-range light; disconnectAsync() rejects it
+            return new Promise((_, reject) => { this.pendingConnect = reject; });
+        }
+
+        await this.delay(this.latencyMs * 4);
+        if (this.faults.connectError) {
+            this.state = 'disconnected';
+            throw new Error(this.faults.connectError);
+        }
+        this.state = 'connected';
+        this.emit('connect');
+    }
+
+    async disconnectAsync() {
+        if (this.pendingConnect) {
+            this.pendingConnect(new Error('Connection cancelled'));
+            this.pendingConnect = null;
+        }
+        const wasConnected = this.state === 'connected';
+        this.state = 'disconnected';
+        if (wasConnected) this.emit('disconnect');
+    }
+
+    async discoverSomeServicesAndCharacteristicsAsync(serviceUuids, characteristicUuids) {
+        await this.delay();
+        this.assertConnected();
+        const characteristics = [this.writeCharacteristic, this.notifyCharacteristic]
+            .filter(c => !characteristicUuids?.length || characteristicUuids.includes(c.uuid));
+        return { services: [{ uuid: GATT_SERVICE_UUID }], characteristics };
+    }
+
+    /**
+     * Apply a written command, then notify the new state like a real light
+     */
+    handleWrite(data) {
+        const frame = NotificationDecoder.decode(data);
+        if (!frame.valid || frame.type === 'unknown') return;
+
+        // Lights ignore frames in the other protocol or addressed to someone else
+        if ((frame.protocol || PROTOCOLS.LEGACY) !== this.protocol) return;
+        if (frame.mac && frame.mac !== this.address) return;
+
+        const update = NotificationDecoder.toState(frame);
+        Object.assign(this.light, update);
+        if (frame.type !== 'power') this.light.isOn = true;
+
+        if (!this.faults.dropNotifications) {
+            setTimeout(() => {
+                if (this.state === 'connected') this.notifyCharacteristic.emit('data', this.stateFrame(), true);
+            }, this.latencyMs);
+        }
+    }
+
+    /**
+     * Encode the current light state as a notification frame
+     */
+    stateFrame() {
+        const options = { protocol: this.protocol, mac: this.address };
+        const { isOn, mode, brightness, cct, hue, saturation, scene } = this.light;
+
+        if (!isOn) return CommandBuilder.setPower(false, options);
+        if (mode === 'hsi') return CommandBuilder.setHSI(hue, saturation, brightness, options);
+        if (mode === 'scene' && scene) return CommandBuilder.setScene(scene, brightness, options);
+        return CommandBuilder.setCCT(brightness, cct, options);
+    }
+}
+
+export class SimulatedTransport extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.devices - [{ name, address, rssi?, protocol?, latencyMs?, serviceUuids?, manufacturerData? (hex) }]
+     */
+    constructor({ devices = [] } = {}) {
+        super();
+        this.name = 'simulated';
+        this.devices = new Map(); // address -> SimulatedPeripheral
+        this.scanTimer = null;
+        for (const device of devices) this.addDevice(device);
+    }
+
+    /**
+     * Build a transport that advertises one fake light per configured light
+     * @param {Object[]} lights - Entries from lightConfig.js
+     */
+    static fromConfig(lights) {
+        const transport = new SimulatedTransport();
+        transport.syncConfig(lights);
+        return transport;
+    }
+
+    /**
+     * Add a fake light for each configured light that doesn't have one yet, and apply
+     * simulatedFaults where they changed (called again on config reload, so faults can be
+     * switched on and off while the server runs; fake lights for removed entries stay "in the room")
+     * @param {Object[]} lights - Entries from lightConfig.js or the config file
+     */
+    syncConfig(lights) {
+        for (const light of lights) {
+            const address = light.mac.toLowerCase();
+            if (!this.devices.has(address)) {
+                this.addDevice({ name: light.simulatedName || 'NEEWER-RGB660 PRO', address });
+            }
+            this.applyConfigFaults(address, light.simulatedFaults || {});
+        }
+    }
+
+    /**
+     * Replace a light's faults with a config's simulatedFaults (no-op if they didn't change,
+     * so faults set with setFaults survive unrelated config saves)
+     */
+    applyConfigFaults(address, simulatedFaults) {
+        const peripheral = this.getDevice(address);
+        const json = JSON.stringify(simulatedFaults);
+        if (json === peripheral.configFaults) return;
+        peripheral.configFaults = json;
+
+        const { advertising = true, disconnectEveryMs = null, ...faults } = simulatedFaults;
+        peripheral.faults = { ...NO_FAULTS, ...faults };
+        peripheral.advertising = advertising;
+        clearInterval(peripheral.dropTimer);
+        peripheral.dropTimer = null;
+        if (disconnectEveryMs) {
+            peripheral.dropTimer = setInterval(() => {
+                if (peripheral.state === 'connected') this.injectDisconnect(address);
+            }, disconnectEveryMs);
+            peripheral.dropTimer.unref();
+        }
+        console.log(`🧪 ${peripheral.advertisement.localName} (${address}) faults: ${json === '{}' ? 'none' : json}`);
+    }
+
+    /**
+     * Add a fake light
+     * @returns {SimulatedPeripheral}
+     */
+    addDevice(device) {
+        const peripheral = new SimulatedPeripheral(this, device);
+        this.devices.set(peripheral.address, peripheral);
+        return peripheral;
+    }
+
+    /**
+     * Remove a fake light (disconnects it first)
+     */
+    removeDevice(address) {
+        const peripheral = this.getDevice(address);
+        peripheral.disconnectAsync();
+        this.devices.delete(peripheral.address);
+    }
+
+    getDevice(address) {
+        const peripheral = this.devices.get(String(address).toLowerCase());
+        if (!peripheral) throw new Error(`No simulated device ${address}`);
+        return peripheral;
+    }
+
+    /**
+     * Drop the link to a light as if it went out of range or lost power
+     */
+    injectDisconnect(address) {
+        const peripheral = this.getDevice(address);
+        console.log(`🧪 Simulating disconnect of ${peripheral.advertisement.localName} (${peripheral.address})`);
+        peripheral.disconnectAsync();
+    }
+
+    /**
+     * Set faults for a light: { connectTimeout, connectError, writeError, writeTimeout, dropNotifications }
+     */
+    setFaults(address, faults) {
+        Object.assign(this.getDevice(address).faults, faults);
+    }
+
+    /**
+     * Stop / resume advertising (an unadvertised light can't be found by scans)
+     */
+    setAdvertising(address, advertising) {
+        this.getDevice(address).advertising = advertising;
+    }
+
+    async waitForAdapter() {
+        // Always powered on
+    }
+
+    startScanning(serviceUuids = [], allowDuplicates = true) {
+        this.stopScanning();
+        const advertise = () => {
+            for (const peripheral of this.devices.values()) {
+                if (peripheral.advertising && peripheral.state === 'disconnected') {
+                    this.emit('discover', peripheral);
+                }
+            }
+        };
+        setImmediate(advertise);
+        this.scanTimer = setInterval(advertise, ADVERTISE_INTERVAL_MS);
+    }
+
+    stopScanning() {
+        if (this.scanTimer) {
+            clearInterval(this.scanTimer);
+            this.scanTimer = null;
+        }
+    }
+}
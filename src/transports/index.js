@@ -0,0 +1,32 @@
+// Transports - pick the BLE backend used by LightScanner / NeewerLight
+//
+// A transport is an EventEmitter with:
+//   waitForAdapter()                           resolves once scanning is possible
+//   startScanning(serviceUuids, allowDups)     emits 'discover' (peripheral)
+//   stopScanning()
+// Peripherals expose the noble API subset NeewerLight uses: id, address, rssi,
+// advertisement, state, connectAsync(), disconnectAsync(), 'disconnect' event and
+// discoverSomeServicesAndCharacteristicsAsync() returning characteristics with
+// writeAsync(), subscribeAsync(), readAsync() and 'data' events.
+
+import { NobleTransport } from './NobleTransport.js';
+import { SimulatedTransport } from './SimulatedTransport.js';
+
+export { NobleTransport, SimulatedTransport };
+
+/**
+ * Create a transport by name
+ * @param {string} name - 'noble' or 'simulated'
+ * @param {Object[]} lights - Light config, used by the simulator to create fake lights
+ */
+export function createTransport(name = 'noble', lights = []) {
+    switch (name) {
+        case 'noble':
+            return new NobleTransport();
+        case 'simulated':
+        case 'sim':
+            return SimulatedTransport.fromConfig(lights);
+        default:
+            throw new Error(`Unknown transport: ${name} (expected noble or simulated)`);
+    }
+}